@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+// Benchmark: createSkuResolver() against resolveSku()/explodeSku() on a generated catalog, timings only.
+// Correctness is checked on a fixed catalog by skuResolverCheck.js (npm run check:sku-resolver).
+//   BENCH_PRODUCTS     (default 10000)  products rows
+//   BENCH_CLIENT_SKUS  (default 10000)  client_inventory rows, spread over BENCH_CLIENTS (default 20)
+//   BENCH_BUNDLES      (default 2000)
+//   BENCH_QUERIES      (default 1000)   order item / shipment line SKUs to resolve
+//   BENCH_SEED         (default 42)
+import { performance } from 'node:perf_hooks';
+import {
+  buildSkuMaps,
+  buildClientSkuMap,
+  buildAliasMap,
+  aliasMapFor,
+  clientSkuMapFor,
+  buildBundleComponents,
+  createSkuResolver,
+  resolveSku,
+  explodeSku
+} from '../src/utils/skuResolver.js';
+
+const PRODUCTS = parseInt(process.env.BENCH_PRODUCTS || '10000', 10);
+const CLIENT_SKUS = parseInt(process.env.BENCH_CLIENT_SKUS || '10000', 10);
+const CLIENTS = parseInt(process.env.BENCH_CLIENTS || '20', 10);
+const BUNDLES = parseInt(process.env.BENCH_BUNDLES || '2000', 10);
+const QUERIES = parseInt(process.env.BENCH_QUERIES || '1000', 10);
+let seed = parseInt(process.env.BENCH_SEED || '42', 10);
+
+// Deterministic PRNG so a failing run can be repeated
+function rand() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+const pick = (list) => list[Math.floor(rand() * list.length)];
+const COLORS = ['blk', 'wht', 'red', 'nvy', 'grn'];
+const SIZES = ['s', 'm', 'l', 'xl'];
+const SUFFIXES = ['', '-xl', '-red-m', '_v2', '.1', 'x', '-', '/b', ' blk'];
+
+function generateCatalog() {
+  const products = [];
+  for (let i = 0; i < PRODUCTS; i += 1) {
+    // Some families share a stem with a longer variant, so prefixes can be ambiguous
+    const sku = i % 7 === 0 ? `PRD${i}` : `PRD${i}-${pick(COLORS)}${i % 11 === 0 ? '-' : ''}`;
+    products.push({ id: i + 1, Sku: sku });
+    if (i % 13 === 0) products.push({ id: PRODUCTS + i + 1, Sku: `${sku}-${pick(SIZES)}` });
+  }
+  const clientInventory = [];
+  for (let i = 0; i < CLIENT_SKUS; i += 1) {
+    const clientId = (i % CLIENTS) + 1;
+    // Clients stock catalog SKUs as well as their own
+    const sku = i % 3 === 0 ? pick(products).Sku : `C${clientId}-ITEM${i}${i % 5 === 0 ? '' : `-${pick(SIZES)}`}`;
+    clientInventory.push({ id: 100000 + i, sku, client_id: clientId });
+  }
+  const bundles = [];
+  const bundleItems = [];
+  for (let i = 0; i < BUNDLES; i += 1) {
+    bundles.push({ id: i + 1, name: `BND${i}${i % 4 === 0 ? '-set' : ''}` });
+    if (i % 9 === 0) continue; // bundles without components
+    for (let n = 0; n < 1 + (i % 3); n += 1) {
+      const part = pick(products);
+      bundleItems.push({ bundle_id: i + 1, product_id: part.id, quantity: 1 + (n % 2) });
+    }
+    // Bundle of bundles
+    if (i % 10 === 1 && i > 0) bundleItems.push({ bundle_id: i + 1, sku: bundles[i - 1].name, quantity: 1 });
+  }
+  const aliases = [];
+  for (let i = 0; i < 500; i += 1) {
+    aliases.push({ alias: `MKT-${i}`, canonical_sku: pick(products).Sku, client_id: i % 4 === 0 ? (i % CLIENTS) + 1 : null });
+    if (i % 50 === 0) aliases.push({ alias: `MKT-GONE-${i}`, canonical_sku: `MISSING-${i}`, client_id: null });
+  }
+  return { products, clientInventory, bundles, bundleItems, aliases };
+}
+
+function generateQueries(raw) {
+  const queries = [];
+  for (let i = 0; i < QUERIES; i += 1) {
+    const r = rand();
+    if (r < 0.3) queries.push(pick(raw.products).Sku + pick(SUFFIXES));
+    else if (r < 0.5) queries.push(pick(raw.clientInventory).sku + pick(SUFFIXES));
+    else if (r < 0.6) queries.push(pick(raw.bundles).name + pick(SUFFIXES));
+    else if (r < 0.7) queries.push(pick(raw.aliases).alias);
+    else if (r < 0.8) queries.push(`UNKNOWN-${i}`);
+    else queries.push(`prd${Math.floor(rand() * PRODUCTS)}${pick(SUFFIXES)}`.toUpperCase());
+  }
+  queries.push('', '-', '-abc', '   ');
+  return queries;
+}
+
+function time(label, fn) {
+  const started = performance.now();
+  const out = fn();
+  const ms = performance.now() - started;
+  console.log(`${label.padEnd(34)} ${ms.toFixed(1).padStart(9)} ms`);
+  return out;
+}
+
+const raw = generateCatalog();
+const { productMap, bundleMap } = buildSkuMaps(raw.products, raw.bundles);
+const catalog = {
+  productMap,
+  bundleMap,
+  bundleComponents: buildBundleComponents(raw.bundleItems, raw.products),
+  clientSkuMap: buildClientSkuMap(raw.clientInventory),
+  skuAliases: buildAliasMap(raw.aliases)
+};
+const queries = generateQueries(raw);
+const clientIds = [null, 1, 2, Math.max(1, CLIENTS)];
+console.log(`catalog: ${raw.products.length} products, ${raw.clientInventory.length} client SKUs, ${raw.bundles.length} bundles, ${raw.aliases.length} aliases`);
+console.log(`queries: ${queries.length} x ${clientIds.length} clients`);
+
+const scanned = time('resolveSku + explodeSku (scan)', () => clientIds.map((clientId) => {
+  const clientMap = clientSkuMapFor(catalog.clientSkuMap, clientId);
+  const aliasMap = aliasMapFor(catalog.skuAliases, clientId);
+  const maps = { productMap, bundleMap, clientMap, aliasMap, bundleComponents: catalog.bundleComponents };
+  return queries.map((q) => ({ resolved: resolveSku(q, productMap, bundleMap, clientMap, aliasMap), leaves: explodeSku(q, 3, maps) }));
+}));
+
+const resolver = time('createSkuResolver (build)', () => createSkuResolver(catalog));
+time('resolver.resolve + explode', () => clientIds.map((clientId) => (
+  queries.map((q) => ({ resolved: resolver.resolve(q, clientId), leaves: resolver.explode(q, 3, clientId) }))
+)));
+
+const rules = {};
+for (const results of scanned) {
+  for (const { resolved } of results) rules[resolved.rule] = (rules[resolved.rule] || 0) + 1;
+}
+console.log('rules covered:', JSON.stringify(rules));
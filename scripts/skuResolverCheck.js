@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+// Deterministic checks for the SKU resolver on a small fixed catalog: each case states the expected rule and match,
+// and createSkuResolver() must give exactly what resolveSku() / explodeSku() give. Exits non-zero on the first
+// difference. Timings live in skuResolverBench.js.
+import assert from 'node:assert/strict';
+import {
+  buildSkuMaps,
+  buildClientSkuMap,
+  buildAliasMap,
+  aliasMapFor,
+  clientSkuMapFor,
+  buildBundleComponents,
+  createSkuResolver,
+  resolveSku,
+  explodeSku
+} from '../src/utils/skuResolver.js';
+
+const products = [
+  { id: 1, Sku: 'TEE' },
+  { id: 2, Sku: 'TEE-BLK' },
+  { id: 3, Sku: 'MUG-01' },
+  { id: 4, Sku: 'CAP' },
+  { id: 5, Sku: 'SOCK-RED' }
+];
+const bundles = [
+  { id: 1, name: 'GIFT-SET' },
+  { id: 2, name: 'MEGA-SET' },
+  { id: 3, name: 'EMPTY-SET' }
+];
+const bundleItems = [
+  { bundle_id: 1, product_id: 3, quantity: 1 },
+  { bundle_id: 1, sku: 'TEE-BLK', quantity: 2 },
+  { bundle_id: 2, sku: 'GIFT-SET', quantity: 2 },
+  { bundle_id: 2, product_id: 4, quantity: 1 }
+];
+const clientInventory = [
+  { id: 100, sku: 'CAP', client_id: 7 },
+  { id: 101, sku: 'TEE-BLK-M', client_id: 7 },
+  { id: 102, sku: 'MUG-01', client_id: 8 }
+];
+const aliases = [
+  { alias: 'AMZ-TEE', canonical_sku: 'TEE-BLK', client_id: null },
+  { alias: 'AMZ-TEE', canonical_sku: 'TEE-BLK-M', client_id: 7 },
+  { alias: 'AMZ-GONE', canonical_sku: 'NOT-IN-CATALOG', client_id: null }
+];
+
+const { productMap, bundleMap } = buildSkuMaps(products, bundles);
+const catalog = {
+  productMap,
+  bundleMap,
+  bundleComponents: buildBundleComponents(bundleItems, products),
+  clientSkuMap: buildClientSkuMap(clientInventory),
+  skuAliases: buildAliasMap(aliases)
+};
+const resolver = createSkuResolver(catalog);
+
+function mapsFor(clientId) {
+  return {
+    productMap,
+    bundleMap,
+    clientMap: clientSkuMapFor(catalog.clientSkuMap, clientId),
+    aliasMap: aliasMapFor(catalog.skuAliases, clientId),
+    bundleComponents: catalog.bundleComponents
+  };
+}
+
+// [name, sku, clientId, { rule, matchType, baseSku, candidates? }]
+const RESOLVE_CASES = [
+  ['alias (global)', 'AMZ-TEE', null, { rule: 'alias_global', matchType: 'product', baseSku: 'tee-blk' }],
+  ['alias (client beats global)', 'amz-tee', 7, { rule: 'alias_client', matchType: 'client_product', baseSku: 'tee-blk-m' }],
+  ['alias to a SKU not in the catalog', 'AMZ-GONE', null, { rule: 'alias_unknown_target', matchType: null, baseSku: 'not-in-catalog' }],
+  ['exact product', 'MUG-01', null, { rule: 'exact', matchType: 'product', baseSku: 'mug-01' }],
+  ['exact (client inventory beats product)', 'CAP', 7, { rule: 'exact', matchType: 'client_product', baseSku: 'cap' }],
+  ['exact (other client sees the product)', 'CAP', 8, { rule: 'exact', matchType: 'product', baseSku: 'cap' }],
+  ['exact bundle', 'GIFT-SET', null, { rule: 'exact', matchType: 'bundle', baseSku: 'gift-set' }],
+  ['prefix at a separator', 'MUG-01-BLUE', null, { rule: 'prefix', matchType: 'product', baseSku: 'mug-01' }],
+  ['no prefix without a separator', 'CAPS-RED', null, { rule: 'unresolved', matchType: null, baseSku: 'caps-red' }],
+  ['prefix in client inventory', 'CAP-XL', 7, { rule: 'prefix', matchType: 'client_product', baseSku: 'cap' }],
+  ['two prefixes are ambiguous', 'TEE-BLK-XL', null, {
+    rule: 'ambiguous_prefix', matchType: null, baseSku: 'tee-blk-xl', candidates: ['tee-blk', 'tee']
+  }],
+  ['prefixes across catalogs are ambiguous', 'TEE-BLK-M-2', 7, {
+    rule: 'ambiguous_prefix', matchType: null, baseSku: 'tee-blk-m-2', candidates: ['tee-blk-m', 'tee-blk', 'tee']
+  }],
+  ['unresolved', 'UNKNOWN-1', null, { rule: 'unresolved', matchType: null, baseSku: 'unknown-1' }],
+  ['blank', '', null, { rule: 'unresolved', matchType: null, baseSku: '' }]
+];
+
+// [name, sku, quantity, clientId, [[leaf sku, quantity, bundleSku, missingComponents]]]
+const EXPLODE_CASES = [
+  ['plain SKU', 'MUG-01', 2, null, [['mug-01', 2, undefined, undefined]]],
+  ['bundle', 'GIFT-SET', 3, null, [['mug-01', 3, 'gift-set', undefined], ['tee-blk', 6, 'gift-set', undefined]]],
+  ['bundle of bundles', 'MEGA-SET', 1, null, [
+    ['mug-01', 2, 'gift-set', undefined], ['tee-blk', 4, 'gift-set', undefined], ['cap', 1, 'mega-set', undefined]
+  ]],
+  ['bundle without components', 'EMPTY-SET', 1, null, [['empty-set', 1, undefined, true]]]
+];
+
+let checks = 0;
+for (const [name, sku, clientId, expected] of RESOLVE_CASES) {
+  const { productMap: pm, bundleMap: bm, clientMap, aliasMap } = mapsFor(clientId);
+  const scanned = resolveSku(sku, pm, bm, clientMap, aliasMap);
+  const indexed = resolver.resolve(sku, clientId);
+  assert.deepStrictEqual(indexed, scanned, `${name}: createSkuResolver differs from resolveSku`);
+  const { rule, matchType, baseSku, candidates } = scanned;
+  assert.deepStrictEqual({ rule, matchType, baseSku, ...(candidates ? { candidates } : {}) }, expected, name);
+  checks += 1;
+}
+for (const [name, sku, quantity, clientId, expected] of EXPLODE_CASES) {
+  const scanned = explodeSku(sku, quantity, mapsFor(clientId));
+  const indexed = resolver.explode(sku, quantity, clientId);
+  assert.deepStrictEqual(indexed, scanned, `${name}: createSkuResolver differs from explodeSku`);
+  assert.deepStrictEqual(scanned.map((l) => [l.sku, l.quantity, l.bundleSku, l.missingComponents]), expected, name);
+  checks += 1;
+}
+console.log(`sku resolver: ${checks} checks passed`);
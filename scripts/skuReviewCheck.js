@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+// Deterministic checks for the SKU review queue collector: unresolved and ambiguous SKUs seen on orders and
+// shipments are queued with their reason, references and best guesses (an ambiguous SKU's prefix candidates).
+// Nothing is written to the database. Exits non-zero on the first difference.
+import assert from 'node:assert/strict';
+import { buildSkuMaps, buildClientSkuMap, clientSkuMapFor, explodeSku, resolveSku } from '../src/utils/skuResolver.js';
+
+// skuReviewQueue.js loads the Supabase client, which exits without these; the collector never uses it
+process.env.SUPABASE_URL ||= 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_ROLE ||= 'unused';
+const { createSkuReview, noteSkuForReview } = await import('../src/jobs/skuReviewQueue.js');
+
+const { productMap, bundleMap } = buildSkuMaps([
+  { id: 1, Sku: 'TEE' },
+  { id: 2, Sku: 'TEE-BLK' },
+  { id: 3, Sku: 'MUG-01' }
+], []);
+const catalog = { productMap, bundleMap, clientSkuMap: buildClientSkuMap([{ id: 100, sku: 'TEE-BLK-M', client_id: 7 }]) };
+const clientMap = clientSkuMapFor(catalog.clientSkuMap, 7);
+const review = createSkuReview();
+
+// Queued demand (src/index.js) notes the exploded leaf; reconciliation notes the resolved shipment line
+const [leaf] = explodeSku('TEE-BLK-XL', 2, { productMap, bundleMap, clientMap, aliasMap: {}, bundleComponents: {} });
+assert.equal(leaf.resolved.rule, 'ambiguous_prefix', 'TEE-BLK-XL resolves as ambiguous');
+noteSkuForReview(review, catalog, { clientId: 7, sku: 'tee-blk-xl', resolved: leaf.resolved, source: 'order', reference: 'SO-1' });
+const line = resolveSku('TEE-BLK-XL', productMap, bundleMap, clientMap, {});
+noteSkuForReview(review, catalog, {
+  clientId: 7, sku: 'tee-blk-xl', resolved: line, source: 'shipment', reference: 501, orderNumber: 'SO-1'
+});
+noteSkuForReview(review, catalog, {
+  clientId: 7, sku: 'mug-02', resolved: resolveSku('MUG-02', productMap, bundleMap, clientMap, {}), source: 'order', reference: 'SO-2'
+});
+noteSkuForReview(review, catalog, { clientId: 7, sku: '', resolved: resolveSku('', productMap, bundleMap, clientMap, {}), source: 'order' });
+
+const entries = Object.fromEntries([...review.values()].map((e) => [e.sku, {
+  reason: e.reason, bestGuesses: e.bestGuesses, orders: [...e.orders.keys()], shipments: [...e.shipments.entries()]
+}]));
+assert.deepStrictEqual(entries, {
+  'tee-blk-xl': {
+    reason: 'ambiguous_prefix',
+    bestGuesses: ['tee-blk', 'tee'],
+    orders: ['SO-1'],
+    shipments: [['501', 'SO-1']]
+  },
+  'mug-02': { reason: 'unresolved', bestGuesses: ['mug-01'], orders: ['SO-2'], shipments: [] },
+  '': { reason: 'blank_sku', bestGuesses: [], orders: [], shipments: [] }
+});
+console.log(`sku review: ${review.size} entries checked`);
@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Local stand-in for Slack/HTTP webhook receivers: logs every POST body so alert-notify can be exercised
+// without real endpoints. Point an alert_notification_endpoints row at http://localhost:<port>/<anything>.
+//   STANDIN_PORT (default 8787)
+//   STANDIN_FAIL_FIRST=n   answer the first n requests with STANDIN_FAIL_STATUS (default 500) to exercise retries
+//   STANDIN_DELAY_MS       delay every response, e.g. above ALERT_NOTIFY_TIMEOUT_MS to exercise timeouts
+import http from 'node:http';
+
+const PORT = parseInt(process.env.STANDIN_PORT || '8787', 10);
+const FAIL_FIRST = parseInt(process.env.STANDIN_FAIL_FIRST || '0', 10);
+const FAIL_STATUS = parseInt(process.env.STANDIN_FAIL_STATUS || '500', 10);
+const DELAY_MS = parseInt(process.env.STANDIN_DELAY_MS || '0', 10);
+
+let received = 0;
+const seenKeys = new Set();
+
+const server = http.createServer(async (req, res) => {
+  let body = '';
+  for await (const chunk of req) body += chunk;
+  received += 1;
+  const key = req.headers['idempotency-key'] || null;
+  const duplicate = key != null && seenKeys.has(key);
+  let parsed = body;
+  try {
+    parsed = JSON.parse(body);
+  } catch {
+    // log raw body
+  }
+  const fail = received <= FAIL_FIRST;
+  console.log(JSON.stringify({ n: received, at: new Date().toISOString(), method: req.method, path: req.url, idempotency_key: key, duplicate, answered: fail ? FAIL_STATUS : 200, body: parsed }));
+  if (DELAY_MS) await new Promise((r) => setTimeout(r, DELAY_MS));
+  if (fail) {
+    res.writeHead(FAIL_STATUS, { 'content-type': 'text/plain' });
+    res.end('stand-in failure');
+    return;
+  }
+  if (key) seenKeys.add(key);
+  res.writeHead(200, { 'content-type': 'text/plain' });
+  res.end('ok');
+});
+
+server.listen(PORT, () => console.log(`[StandIn] listening on http://localhost:${PORT} (Ctrl-C to stop)`));
+process.on('SIGINT', () => server.close(() => process.exit(0)));
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
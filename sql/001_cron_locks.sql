@@ -0,0 +1,58 @@
+-- Lease-based run locks shared by every replica of the cron service.
+-- Timestamps are compared with the database clock so replicas with skewed clocks agree.
+
+create table if not exists public.cron_locks (
+  job_name text primary key,
+  holder text not null,
+  acquired_at timestamptz not null default now(),
+  heartbeat_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+-- Take the lease when it is free, expired, or already ours. Returns true when acquired.
+create or replace function public.acquire_cron_lock(p_job_name text, p_holder text, p_ttl_seconds integer)
+returns boolean
+language plpgsql
+as $$
+declare
+  v_holder text;
+begin
+  insert into public.cron_locks as l (job_name, holder, acquired_at, heartbeat_at, expires_at)
+  values (p_job_name, p_holder, now(), now(), now() + make_interval(secs => p_ttl_seconds))
+  on conflict (job_name) do update
+    set holder = excluded.holder,
+        acquired_at = excluded.acquired_at,
+        heartbeat_at = excluded.heartbeat_at,
+        expires_at = excluded.expires_at
+    where l.expires_at < now() or l.holder = excluded.holder
+  returning holder into v_holder;
+  return v_holder = p_holder;
+end;
+$$;
+
+-- Extend the lease. Returns false when the lease expired and someone else took it over.
+create or replace function public.renew_cron_lock(p_job_name text, p_holder text, p_ttl_seconds integer)
+returns boolean
+language plpgsql
+as $$
+begin
+  update public.cron_locks
+     set heartbeat_at = now(),
+         expires_at = now() + make_interval(secs => p_ttl_seconds)
+   where job_name = p_job_name
+     and holder = p_holder;
+  return found;
+end;
+$$;
+
+create or replace function public.release_cron_lock(p_job_name text, p_holder text)
+returns boolean
+language plpgsql
+as $$
+begin
+  delete from public.cron_locks
+   where job_name = p_job_name
+     and holder = p_holder;
+  return found;
+end;
+$$;
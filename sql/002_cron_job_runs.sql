@@ -0,0 +1,17 @@
+-- One row per job run with structured counters and captured errors.
+
+create table if not exists public.cron_job_runs (
+  run_id uuid primary key,
+  job_name text not null,
+  holder text,
+  status text not null default 'running', -- running | succeeded | completed_with_errors | failed | lease_lost
+  started_at timestamptz not null default now(),
+  finished_at timestamptz,
+  duration_ms integer,
+  counters jsonb not null default '{}'::jsonb,
+  errors jsonb not null default '[]'::jsonb,
+  error_count integer not null default 0
+);
+
+create index if not exists cron_job_runs_job_started_idx on public.cron_job_runs (job_name, started_at desc);
+create index if not exists cron_job_runs_status_idx on public.cron_job_runs (status) where status <> 'succeeded';
@@ -0,0 +1,20 @@
+-- One row per reconciled shipment line item. The (shipment_id, sku) key makes reconciliation
+-- idempotent per line: a line is deducted only by whoever inserts its ledger row.
+
+create table if not exists public.inventory_reconciliation_ledger (
+  id bigserial primary key,
+  shipment_id text not null,
+  sku text not null,                 -- canonical (normalized) SKU
+  item_type text not null,           -- client_product | product
+  item_id text not null,
+  quantity integer not null check (quantity > 0),
+  location_id text,
+  stock_level_id text,
+  order_number text,
+  run_id uuid,
+  reconciled_at timestamptz not null default now(),
+  constraint inventory_reconciliation_ledger_line_key unique (shipment_id, sku)
+);
+
+create index if not exists inventory_reconciliation_ledger_reconciled_idx
+  on public.inventory_reconciliation_ledger (reconciled_at desc);
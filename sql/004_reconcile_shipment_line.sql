@@ -0,0 +1,69 @@
+-- Atomic shipment-line reconciliation: the stock deduction and the ledger row commit together,
+-- concurrent writers to the stock row are serialized by the row lock, and on_hand never goes below zero.
+
+alter table public.inventory_reconciliation_ledger
+  add column if not exists on_hand_before integer,
+  add column if not exists on_hand_after integer;
+
+-- Returns jsonb { status, on_hand_before?, on_hand_after? } where status is one of
+-- reconciled | already_reconciled | insufficient_stock | stock_not_found
+create or replace function public.reconcile_shipment_line(
+  p_shipment_id text,
+  p_sku text,
+  p_item_type text,
+  p_item_id text,
+  p_stock_level_id text,
+  p_quantity integer,
+  p_order_number text default null,
+  p_run_id uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_before integer;
+  v_location_id text;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'reconcile_shipment_line: quantity must be positive (got %)', p_quantity;
+  end if;
+
+  if exists (
+    select 1 from public.inventory_reconciliation_ledger
+     where shipment_id = p_shipment_id and sku = p_sku
+  ) then
+    return jsonb_build_object('status', 'already_reconciled');
+  end if;
+
+  select on_hand, location_id::text
+    into v_before, v_location_id
+    from public.inventory_stock_levels
+   where id = p_stock_level_id::bigint
+   for update;
+  if not found then
+    return jsonb_build_object('status', 'stock_not_found');
+  end if;
+  if coalesce(v_before, 0) < p_quantity then
+    return jsonb_build_object('status', 'insufficient_stock', 'on_hand_before', coalesce(v_before, 0));
+  end if;
+
+  insert into public.inventory_reconciliation_ledger
+    (shipment_id, sku, item_type, item_id, quantity, location_id, stock_level_id, order_number, run_id,
+     on_hand_before, on_hand_after, reconciled_at)
+  values
+    (p_shipment_id, p_sku, p_item_type, p_item_id, p_quantity, v_location_id, p_stock_level_id, p_order_number, p_run_id,
+     v_before, v_before - p_quantity, now())
+  on conflict (shipment_id, sku) do nothing;
+  if not found then
+    -- Another writer reconciled this line between the check and the insert
+    return jsonb_build_object('status', 'already_reconciled');
+  end if;
+
+  update public.inventory_stock_levels
+     set on_hand = v_before - p_quantity,
+         updated_at = now()
+   where id = p_stock_level_id::bigint;
+
+  return jsonb_build_object('status', 'reconciled', 'on_hand_before', v_before, 'on_hand_after', v_before - p_quantity);
+end;
+$$;
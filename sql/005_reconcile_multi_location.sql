@@ -0,0 +1,180 @@
+-- Split a shipment line's deduction across several Batch/Production stock rows and record shortfalls.
+
+alter table public.inventory_locations
+  add column if not exists priority integer; -- lower runs first when RECON_ALLOCATION_ORDER=location_priority
+
+alter table public.inventory_reconciliation_ledger
+  add column if not exists quantity_deducted integer,
+  add column if not exists shortfall_quantity integer not null default 0,
+  add column if not exists status text not null default 'reconciled'; -- reconciled | partial | short
+
+-- location_id / stock_level_id / on_hand_* on the ledger now describe the first allocation only
+create table if not exists public.inventory_reconciliation_allocations (
+  id bigserial primary key,
+  ledger_id bigint not null references public.inventory_reconciliation_ledger (id) on delete cascade,
+  stock_level_id text not null,
+  location_id text,
+  quantity integer not null check (quantity > 0),
+  on_hand_before integer not null,
+  on_hand_after integer not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists inventory_reconciliation_allocations_ledger_idx
+  on public.inventory_reconciliation_allocations (ledger_id);
+
+drop function if exists public.reconcile_shipment_line(text, text, text, text, text, integer, text, uuid);
+
+-- Takes up to p_quantity for a ledger line from p_stock_level_ids (allocation priority order): rows are locked, the
+-- quantity is taken greedily from each row's fresh on_hand (capped by available when set), stock is decremented and
+-- the allocations recorded. Returns jsonb { quantity_deducted, allocations }.
+create or replace function public.reconcile_allocate(
+  p_ledger_id bigint,
+  p_quantity integer,
+  p_stock_level_ids text[]
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_ids bigint[] := coalesce(p_stock_level_ids, '{}')::bigint[];
+  v_remaining integer := p_quantity;
+  v_take integer;
+  v_allocations jsonb := '[]'::jsonb;
+  v_row record;
+  v_alloc jsonb;
+begin
+  -- Lock candidates in id order to avoid deadlocks, then allocate in the caller's priority order
+  perform 1
+     from public.inventory_stock_levels
+    where id = any (v_ids)
+    order by id
+      for update;
+
+  for v_row in
+    select s.id::text as id, s.location_id::text as location_id, coalesce(s.on_hand, 0) as on_hand,
+           least(coalesce(s.available, s.on_hand, 0), coalesce(s.on_hand, 0)) as usable
+      from unnest(v_ids) with ordinality as c(stock_id, pos)
+      join public.inventory_stock_levels s on s.id = c.stock_id
+     order by c.pos
+  loop
+    exit when v_remaining <= 0;
+    v_take := least(v_remaining, greatest(v_row.usable, 0));
+    continue when v_take <= 0;
+    v_allocations := v_allocations || jsonb_build_object(
+      'stock_level_id', v_row.id,
+      'location_id', v_row.location_id,
+      'quantity', v_take,
+      'on_hand_before', v_row.on_hand,
+      'on_hand_after', v_row.on_hand - v_take
+    );
+    v_remaining := v_remaining - v_take;
+  end loop;
+
+  for v_alloc in select * from jsonb_array_elements(v_allocations)
+  loop
+    update public.inventory_stock_levels
+       set on_hand = on_hand - (v_alloc ->> 'quantity')::integer,
+           updated_at = now()
+     where id = (v_alloc ->> 'stock_level_id')::bigint;
+    insert into public.inventory_reconciliation_allocations
+      (ledger_id, stock_level_id, location_id, quantity, on_hand_before, on_hand_after)
+    values
+      (p_ledger_id, v_alloc ->> 'stock_level_id', v_alloc ->> 'location_id', (v_alloc ->> 'quantity')::integer,
+       (v_alloc ->> 'on_hand_before')::integer, (v_alloc ->> 'on_hand_after')::integer);
+  end loop;
+
+  return jsonb_build_object('quantity_deducted', p_quantity - v_remaining, 'allocations', v_allocations);
+end;
+$$;
+
+-- p_stock_level_ids lists candidate stock rows in allocation priority order (see reconcile_allocate); whatever
+-- cannot be covered is recorded as the line's shortfall. A partial or short line is not final: calling again takes
+-- the shortfall from the stock there is now.
+-- Returns jsonb { status, retried, quantity_deducted, shortfall_quantity, allocations } where status is one of
+-- reconciled | partial | short | already_reconciled; retried is true for a call on a partial or short line, and
+-- quantity_deducted / allocations are what this call took
+create or replace function public.reconcile_shipment_line(
+  p_shipment_id text,
+  p_sku text,
+  p_item_type text,
+  p_item_id text,
+  p_quantity integer,
+  p_stock_level_ids text[],
+  p_order_number text default null,
+  p_run_id uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_ledger record;
+  v_ledger_id bigint;
+  v_wanted integer;
+  v_retried boolean := false;
+  v_result jsonb;
+  v_deducted integer;
+  v_first jsonb;
+  v_status text;
+  v_shortfall integer;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'reconcile_shipment_line: quantity must be positive (got %)', p_quantity;
+  end if;
+
+  select id, shortfall_quantity into v_ledger
+    from public.inventory_reconciliation_ledger
+   where shipment_id = p_shipment_id and sku = p_sku
+     for update;
+  if found then
+    -- A partial or short line stays open: its shortfall is taken from stock that has arrived since
+    if coalesce(v_ledger.shortfall_quantity, 0) <= 0 then
+      return jsonb_build_object('status', 'already_reconciled');
+    end if;
+    v_ledger_id := v_ledger.id;
+    v_wanted := v_ledger.shortfall_quantity;
+    v_retried := true;
+  else
+    insert into public.inventory_reconciliation_ledger
+      (shipment_id, sku, item_type, item_id, quantity, quantity_deducted, shortfall_quantity, status,
+       order_number, run_id, reconciled_at)
+    values
+      (p_shipment_id, p_sku, p_item_type, p_item_id, p_quantity, 0, p_quantity, 'short', p_order_number, p_run_id, now())
+    on conflict (shipment_id, sku) do nothing
+    returning id into v_ledger_id;
+    if v_ledger_id is null then
+      -- Another writer reconciled this line between the check and the insert
+      return jsonb_build_object('status', 'already_reconciled');
+    end if;
+    v_wanted := p_quantity;
+  end if;
+
+  v_result := public.reconcile_allocate(v_ledger_id, v_wanted, p_stock_level_ids);
+  v_deducted := (v_result ->> 'quantity_deducted')::integer;
+  v_first := v_result -> 'allocations' -> 0;
+
+  -- location_id / stock_level_id / on_hand_* keep the line's first allocation
+  update public.inventory_reconciliation_ledger
+     set quantity_deducted = coalesce(quantity_deducted, 0) + v_deducted,
+         shortfall_quantity = shortfall_quantity - v_deducted,
+         status = case
+           when shortfall_quantity - v_deducted = 0 then 'reconciled'
+           when coalesce(quantity_deducted, 0) + v_deducted > 0 then 'partial'
+           else 'short'
+         end,
+         location_id = coalesce(location_id, v_first ->> 'location_id'),
+         stock_level_id = coalesce(stock_level_id, v_first ->> 'stock_level_id'),
+         on_hand_before = coalesce(on_hand_before, (v_first ->> 'on_hand_before')::integer),
+         on_hand_after = coalesce(on_hand_after, (v_first ->> 'on_hand_after')::integer)
+   where id = v_ledger_id
+  returning status, shortfall_quantity into v_status, v_shortfall;
+
+  return jsonb_build_object(
+    'status', v_status,
+    'retried', v_retried,
+    'quantity_deducted', v_deducted,
+    'shortfall_quantity', v_shortfall,
+    'allocations', v_result -> 'allocations'
+  );
+end;
+$$;
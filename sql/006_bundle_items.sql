@@ -0,0 +1,14 @@
+-- Bundle composition used to expand bundle SKUs into component SKUs for demand and reconciliation.
+-- A component row names either the component SKU directly or a products row.
+
+create table if not exists public.bundle_items (
+  id bigserial primary key,
+  bundle_id bigint not null references public.bundle (id) on delete cascade,
+  sku text,
+  product_id bigint references public.products (id),
+  quantity integer not null default 1 check (quantity > 0),
+  created_at timestamptz not null default now(),
+  check (sku is not null or product_id is not null)
+);
+
+create index if not exists bundle_items_bundle_id_idx on public.bundle_items (bundle_id);
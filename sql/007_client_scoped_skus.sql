@@ -0,0 +1,16 @@
+-- Client-scoped SKU resolution: every order is attributed to a client, directly or through its store.
+
+alter table public.orders
+  add column if not exists client_id bigint;
+
+-- Stores (ShipStation/ShipEngine store ids) owned by each client
+create table if not exists public.client_stores (
+  store_id bigint primary key,
+  client_id bigint not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists client_stores_client_id_idx on public.client_stores (client_id);
+
+-- SKUs are unique per client only; two clients may stock the same SKU
+create index if not exists client_inventory_client_sku_idx on public.client_inventory (client_id, lower(sku));
@@ -0,0 +1,72 @@
+-- Alert lifecycle: resolved alerts stay as history rows, one active alert per (client, SKU),
+-- and every state change is appended to inventory_alert_events.
+
+alter table public.inventory_alerts
+  add column if not exists resolved_at timestamptz,
+  add column if not exists resolution_reason text,
+  add column if not exists escalated_at timestamptz;
+
+-- Close duplicates left by the old per-type upsert (keep the purchase alert, then the newest)
+with ranked as (
+  select id,
+         row_number() over (
+           partition by client_id, item_type, message
+           order by case alert_type when 'purchase' then 0 else 1 end, updated_at desc nulls last, id desc
+         ) as rn
+  from public.inventory_alerts
+  where is_active and item_type = 'client_product' and alert_type in ('restock', 'purchase')
+)
+update public.inventory_alerts a
+set is_active = false, resolved_at = now(), resolution_reason = 'superseded'
+from ranked
+where a.id = ranked.id and ranked.rn > 1;
+
+-- A unique constraint on (client_id, item_type, alert_type, message) used by the old upsert would also block
+-- reopening after a resolution; drop it under the default names, then any other unique index on exactly those columns.
+alter table public.inventory_alerts drop constraint if exists inventory_alerts_client_id_item_type_alert_type_message_key;
+drop index if exists public.inventory_alerts_client_id_item_type_alert_type_message_key;
+drop index if exists public.inventory_alerts_client_id_item_type_alert_type_message_idx;
+
+do $$
+declare
+  r record;
+begin
+  for r in
+    select i.indexrelid::regclass as index_name, c.conname
+    from pg_index i
+    left join pg_constraint c on c.conindid = i.indexrelid and c.conrelid = i.indrelid
+    where i.indrelid = 'public.inventory_alerts'::regclass
+      and i.indisunique and not i.indisprimary and i.indpred is null
+      and (select array_agg(a.attname::text order by a.attname)
+           from unnest(i.indkey) k join pg_attribute a on a.attrelid = i.indrelid and a.attnum = k)
+          = array['alert_type', 'client_id', 'item_type', 'message']
+  loop
+    if r.conname is not null then
+      execute format('alter table public.inventory_alerts drop constraint %I', r.conname);
+    else
+      execute format('drop index %s', r.index_name);
+    end if;
+  end loop;
+end $$;
+
+create unique index if not exists inventory_alerts_one_active_per_sku
+  on public.inventory_alerts (client_id, item_type, message)
+  where is_active and item_type = 'client_product' and alert_type in ('restock', 'purchase');
+
+create table if not exists public.inventory_alert_events (
+  id bigserial primary key,
+  alert_id bigint references public.inventory_alerts (id) on delete cascade,
+  client_id bigint,
+  sku text not null,
+  event_type text not null, -- opened | escalated | deescalated | severity_changed | resolved
+  from_alert_type text,
+  to_alert_type text,
+  from_severity text,
+  to_severity text,
+  reason text,
+  run_id uuid,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists inventory_alert_events_alert_idx on public.inventory_alert_events (alert_id, created_at);
+create index if not exists inventory_alert_events_client_sku_idx on public.inventory_alert_events (client_id, sku, created_at);
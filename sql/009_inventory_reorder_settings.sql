@@ -0,0 +1,27 @@
+-- Reorder point, safety stock and supplier lead time per client SKU, with a per-client default row (sku null).
+-- Null fields on a SKU row fall back to the client's default row.
+
+create table if not exists public.inventory_reorder_settings (
+  id bigserial primary key,
+  client_id bigint not null,
+  sku text,                        -- null: default for every SKU of the client
+  reorder_point integer check (reorder_point >= 0),   -- null: velocity x lead time + safety stock
+  safety_stock integer check (safety_stock >= 0),
+  lead_time_days integer check (lead_time_days >= 0),
+  cover_buffer_days integer check (cover_buffer_days >= 0), -- null: REORDER_COVER_BUFFER_DAYS
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists inventory_reorder_settings_client_sku_key
+  on public.inventory_reorder_settings (client_id, coalesce(lower(sku), ''));
+
+-- low_cover alerts share the one-active-alert-per-SKU rule
+drop index if exists public.inventory_alerts_one_active_per_sku;
+create unique index inventory_alerts_one_active_per_sku
+  on public.inventory_alerts (client_id, item_type, message)
+  where is_active and item_type = 'client_product' and alert_type in ('low_cover', 'restock', 'purchase');
+
+-- Velocity reads recent client_product lines
+create index if not exists inventory_reconciliation_ledger_item_idx
+  on public.inventory_reconciliation_ledger (item_type, item_id, reconciled_at);
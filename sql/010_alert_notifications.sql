@@ -0,0 +1,102 @@
+-- Alert notification outbox (filled by inventory-alert), webhook endpoints with per-client routing,
+-- and one delivery row per (notification, endpoint) for retries and dedup (sent by alert-notify).
+
+create table if not exists public.alert_notifications (
+  id bigserial primary key,
+  dedup_key text not null unique,    -- event:<inventory_alert_events.id>
+  alert_id bigint,
+  client_id bigint,
+  sku text not null,
+  event_type text not null,          -- opened | escalated | resolved
+  alert_type text,
+  previous_alert_type text,          -- escalations only
+  severity text,
+  reason text,
+  status text not null default 'pending', -- pending | routed | no_route
+  run_id uuid,
+  created_at timestamptz not null default now(),
+  routed_at timestamptz
+);
+
+create index if not exists alert_notifications_pending_idx on public.alert_notifications (id) where status = 'pending';
+
+-- One alert state change: the inventory_alert_events row and, when p_notification is given, its outbox row keyed
+-- event:<event id>, in one transaction so an event is never recorded without its notification.
+-- p_event: { alert_id, client_id, sku, event_type, from_alert_type, to_alert_type, from_severity, to_severity,
+-- reason, created_at }; p_notification: { alert_id, client_id, sku, event_type, alert_type, previous_alert_type,
+-- severity, reason } or null.
+-- Returns jsonb { event_id, notification_id } (notification_id null when nothing was queued)
+create or replace function public.record_alert_event(
+  p_event jsonb,
+  p_notification jsonb default null,
+  p_run_id uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_event_id bigint;
+  v_notification_id bigint;
+begin
+  insert into public.inventory_alert_events (
+    alert_id, client_id, sku, event_type, from_alert_type, to_alert_type, from_severity, to_severity, reason,
+    run_id, created_at
+  )
+  values (
+    (p_event->>'alert_id')::bigint, (p_event->>'client_id')::bigint, p_event->>'sku', p_event->>'event_type',
+    p_event->>'from_alert_type', p_event->>'to_alert_type', p_event->>'from_severity', p_event->>'to_severity',
+    p_event->>'reason', p_run_id, coalesce((p_event->>'created_at')::timestamptz, now())
+  )
+  returning id into v_event_id;
+
+  if p_notification is not null then
+    insert into public.alert_notifications (
+      dedup_key, alert_id, client_id, sku, event_type, alert_type, previous_alert_type, severity, reason, status, run_id
+    )
+    values (
+      'event:' || v_event_id, (p_notification->>'alert_id')::bigint, (p_notification->>'client_id')::bigint,
+      p_notification->>'sku', p_notification->>'event_type', p_notification->>'alert_type',
+      p_notification->>'previous_alert_type', p_notification->>'severity', p_notification->>'reason', 'pending', p_run_id
+    )
+    on conflict (dedup_key) do nothing
+    returning id into v_notification_id;
+  end if;
+
+  return jsonb_build_object('event_id', v_event_id, 'notification_id', v_notification_id);
+end;
+$$;
+
+create table if not exists public.alert_notification_endpoints (
+  id bigserial primary key,
+  name text not null,
+  kind text not null default 'http' check (kind in ('slack', 'http')),
+  url text not null,
+  headers jsonb,                     -- extra request headers, e.g. an auth token for generic HTTP
+  client_id bigint,                  -- null: every client
+  event_types text[],                -- null/empty: every event type
+  mode text not null default 'immediate' check (mode in ('immediate', 'digest')),
+  digest_hour_utc integer not null default 8 check (digest_hour_utc between 0 and 23),
+  last_digest_at timestamptz,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.alert_notification_deliveries (
+  id bigserial primary key,
+  notification_id bigint not null references public.alert_notifications (id) on delete cascade,
+  endpoint_id bigint not null references public.alert_notification_endpoints (id) on delete cascade,
+  status text not null default 'pending', -- pending | retrying | digest_pending | sent | failed | cancelled
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  response_status integer,
+  last_error text,
+  sent_at timestamptz,
+  digest_sent_at timestamptz,
+  created_at timestamptz not null default now(),
+  constraint alert_notification_deliveries_key unique (notification_id, endpoint_id)
+);
+
+create index if not exists alert_notification_deliveries_due_idx
+  on public.alert_notification_deliveries (next_attempt_at) where status in ('pending', 'retrying');
+create index if not exists alert_notification_deliveries_digest_idx
+  on public.alert_notification_deliveries (endpoint_id) where status = 'digest_pending';
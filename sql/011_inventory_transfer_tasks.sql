@@ -0,0 +1,30 @@
+-- Draft BackStock → pickable transfer tasks generated for restock needs. inventory-alert owns rows in status
+-- draft (updating or cancelling them each run); the warehouse moves them on to in_progress / completed.
+
+create table if not exists public.inventory_transfer_tasks (
+  id bigserial primary key,
+  client_id bigint not null,
+  sku text not null,                 -- canonical (normalized) SKU
+  item_type text not null default 'client_product',
+  item_id text not null,
+  source_location_id bigint not null,
+  source_location_code text,
+  destination_location_id bigint,    -- null when no pickable location holds the item yet
+  destination_location_code text,
+  quantity integer not null check (quantity > 0),
+  status text not null default 'draft', -- draft | in_progress | completed | cancelled
+  reason text,
+  cancel_reason text,
+  run_id uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  cancelled_at timestamptz
+);
+
+-- One open draft per (client, SKU, source location)
+create unique index if not exists inventory_transfer_tasks_one_draft
+  on public.inventory_transfer_tasks (client_id, sku, source_location_id)
+  where status = 'draft';
+
+create index if not exists inventory_transfer_tasks_open_idx
+  on public.inventory_transfer_tasks (status) where status in ('draft', 'in_progress');
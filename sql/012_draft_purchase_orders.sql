@@ -0,0 +1,45 @@
+-- Draft purchase orders built from open purchase alerts, one draft per (client, supplier).
+
+-- Current shortfall (queued demand - total on hand), kept up to date by inventory-alert
+alter table public.inventory_alerts
+  add column if not exists shortfall_quantity integer;
+
+-- Supplier and order rounding per client SKU / client default
+alter table public.inventory_reorder_settings
+  add column if not exists supplier_id text,
+  add column if not exists moq integer check (moq > 0),
+  add column if not exists pack_size integer check (pack_size > 0);
+
+create table if not exists public.purchase_orders (
+  id bigserial primary key,
+  client_id bigint not null,
+  supplier_id text,                  -- null: no supplier configured yet
+  status text not null default 'draft', -- draft (owned by draft-pos) | submitted | received | cancelled
+  run_id uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  cancelled_at timestamptz
+);
+
+create unique index if not exists purchase_orders_one_draft
+  on public.purchase_orders (client_id, coalesce(supplier_id, ''))
+  where status = 'draft';
+
+create table if not exists public.purchase_order_lines (
+  id bigserial primary key,
+  purchase_order_id bigint not null references public.purchase_orders (id) on delete cascade,
+  client_id bigint not null,
+  sku text not null,                 -- canonical (normalized) SKU
+  alert_id bigint,
+  shortfall_quantity integer not null,
+  on_order_quantity integer not null default 0, -- already on submitted POs when drafted
+  moq integer,
+  pack_size integer,
+  quantity integer not null check (quantity > 0), -- shortfall - on order, raised to MOQ, rounded up to packs
+  run_id uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  constraint purchase_order_lines_sku_key unique (purchase_order_id, sku)
+);
+
+create index if not exists purchase_order_lines_client_sku_idx on public.purchase_order_lines (client_id, sku);
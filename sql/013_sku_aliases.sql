@@ -0,0 +1,17 @@
+-- Maintained marketplace SKU → canonical SKU mappings. Checked before any prefix heuristics;
+-- a client-scoped alias overrides a global one (client_id null) for that client.
+
+create table if not exists public.sku_aliases (
+  id bigserial primary key,
+  alias text not null,
+  canonical_sku text not null,
+  client_id bigint,                  -- null: applies to every client
+  is_active boolean not null default true,
+  notes text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists sku_aliases_alias_key
+  on public.sku_aliases (lower(alias), coalesce(client_id, 0))
+  where is_active;
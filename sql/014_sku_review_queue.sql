@@ -0,0 +1,42 @@
+-- SKUs the resolver could not map (unresolved, ambiguous prefix, alias to an unknown SKU), collected by
+-- inventory-alert from queued demand and shipment reconciliation for someone to map via sku_aliases or the
+-- catalog. inventory-alert flips an open entry to mapped once its SKU resolves and reprocesses the affected
+-- shipments, then marks it reprocessed.
+
+create table if not exists public.sku_review_queue (
+  id bigserial primary key,
+  client_id bigint,                  -- null: seen on shipments without a client
+  sku text not null,                 -- canonical (normalized) SKU as seen; '' for blank SKUs
+  reason text not null,              -- unresolved | ambiguous_prefix | alias_unknown_target | blank_sku
+  status text not null default 'open', -- open | mapped | reprocessed | ignored
+  occurrence_count integer not null default 0, -- distinct orders / shipments it was seen on
+  first_seen_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now(),
+  example_order_numbers text[] not null default '{}',
+  example_shipment_ids text[] not null default '{}',
+  best_guesses text[] not null default '{}', -- prefix candidates or closest catalog SKUs
+  mapped_to text,                    -- base SKU it resolved to once mapped
+  mapped_at timestamptz,
+  reprocessed_at timestamptz,
+  run_id uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists sku_review_queue_sku_key
+  on public.sku_review_queue (coalesce(client_id, 0), sku);
+
+create index if not exists sku_review_queue_status_idx
+  on public.sku_review_queue (status) where status in ('open', 'mapped');
+
+-- Every order / shipment an entry was seen on; occurrence_count counts these, and the shipment rows are
+-- what gets reprocessed once the SKU is mapped
+create table if not exists public.sku_review_occurrences (
+  id bigserial primary key,
+  review_id bigint not null references public.sku_review_queue (id) on delete cascade,
+  source text not null,              -- order | shipment
+  reference text not null,           -- order_number or shipment id
+  order_number text,
+  seen_at timestamptz not null default now(),
+  unique (review_id, source, reference)
+);
@@ -0,0 +1,181 @@
+-- Voided labels: void_shipment() marks the shipment voided and gives back every stock deduction the
+-- reconciliation made for it, in one transaction. Ledger rows stay (status reversed) so the line is never
+-- deducted again; reconcile_shipment_line() now refuses voided shipments.
+
+alter table public.inventory_reconciliation_ledger
+  add column if not exists reversed_at timestamptz,
+  add column if not exists reversal_run_id uuid; -- status is now reconciled | partial | short | reversed
+
+-- Returns jsonb { status, lines_reversed, quantity_restored } where status is one of
+-- voided | already_voided | not_found. Safe to call again: reversed ledger rows are skipped.
+create or replace function public.void_shipment(
+  p_shipment_id text,
+  p_void_date timestamptz default null,
+  p_run_id uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_shipment record;
+  v_line record;
+  v_alloc record;
+  v_found boolean;
+  v_lines integer := 0;
+  v_restored integer := 0;
+begin
+  select id, coalesce(voided, false) as voided into v_shipment
+    from public.shipments
+   where id = p_shipment_id::bigint
+     for update;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+
+  update public.shipments
+     set voided = true,
+         void_date = coalesce(void_date, p_void_date, now())
+   where id = v_shipment.id;
+
+  for v_line in
+    select id, stock_level_id, coalesce(quantity_deducted, quantity) as deducted
+      from public.inventory_reconciliation_ledger
+     where shipment_id = p_shipment_id and reversed_at is null
+     order by id
+       for update
+  loop
+    v_found := false;
+    for v_alloc in
+      select stock_level_id, quantity
+        from public.inventory_reconciliation_allocations
+       where ledger_id = v_line.id
+    loop
+      v_found := true;
+      update public.inventory_stock_levels
+         set on_hand = on_hand + v_alloc.quantity,
+             updated_at = now()
+       where id = v_alloc.stock_level_id::bigint;
+      v_restored := v_restored + v_alloc.quantity;
+    end loop;
+    -- Lines reconciled before sql/005 have no allocation rows: the whole deduction came from stock_level_id
+    if not v_found and v_line.stock_level_id is not null and v_line.deducted > 0 then
+      update public.inventory_stock_levels
+         set on_hand = on_hand + v_line.deducted,
+             updated_at = now()
+       where id = v_line.stock_level_id::bigint;
+      v_restored := v_restored + v_line.deducted;
+    end if;
+
+    update public.inventory_reconciliation_ledger
+       set status = 'reversed',
+           reversed_at = now(),
+           reversal_run_id = p_run_id
+     where id = v_line.id;
+    v_lines := v_lines + 1;
+  end loop;
+
+  return jsonb_build_object(
+    'status', case when v_shipment.voided then 'already_voided' else 'voided' end,
+    'lines_reversed', v_lines,
+    'quantity_restored', v_restored
+  );
+end;
+$$;
+
+-- As in sql/005_reconcile_multi_location.sql, and refuses voided shipments. Reversed lines are never topped up.
+-- Returns jsonb { status, retried, quantity_deducted, shortfall_quantity, allocations } where status is one of
+-- reconciled | partial | short | already_reconciled | voided
+create or replace function public.reconcile_shipment_line(
+  p_shipment_id text,
+  p_sku text,
+  p_item_type text,
+  p_item_id text,
+  p_quantity integer,
+  p_stock_level_ids text[],
+  p_order_number text default null,
+  p_run_id uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_ledger record;
+  v_ledger_id bigint;
+  v_wanted integer;
+  v_retried boolean := false;
+  v_result jsonb;
+  v_deducted integer;
+  v_first jsonb;
+  v_status text;
+  v_shortfall integer;
+  v_voided boolean;
+begin
+  if p_quantity is null or p_quantity <= 0 then
+    raise exception 'reconcile_shipment_line: quantity must be positive (got %)', p_quantity;
+  end if;
+
+  -- Never deduct for a voided shipment; the share lock waits out a void_shipment() in progress
+  select coalesce(voided, false) into v_voided
+    from public.shipments
+   where id = p_shipment_id::bigint
+     for share;
+  if v_voided then
+    return jsonb_build_object('status', 'voided');
+  end if;
+
+  select id, shortfall_quantity, reversed_at into v_ledger
+    from public.inventory_reconciliation_ledger
+   where shipment_id = p_shipment_id and sku = p_sku
+     for update;
+  if found then
+    -- A partial or short line stays open: its shortfall is taken from stock that has arrived since
+    if coalesce(v_ledger.shortfall_quantity, 0) <= 0 or v_ledger.reversed_at is not null then
+      return jsonb_build_object('status', 'already_reconciled');
+    end if;
+    v_ledger_id := v_ledger.id;
+    v_wanted := v_ledger.shortfall_quantity;
+    v_retried := true;
+  else
+    insert into public.inventory_reconciliation_ledger
+      (shipment_id, sku, item_type, item_id, quantity, quantity_deducted, shortfall_quantity, status,
+       order_number, run_id, reconciled_at)
+    values
+      (p_shipment_id, p_sku, p_item_type, p_item_id, p_quantity, 0, p_quantity, 'short', p_order_number, p_run_id, now())
+    on conflict (shipment_id, sku) do nothing
+    returning id into v_ledger_id;
+    if v_ledger_id is null then
+      -- Another writer reconciled this line between the check and the insert
+      return jsonb_build_object('status', 'already_reconciled');
+    end if;
+    v_wanted := p_quantity;
+  end if;
+
+  v_result := public.reconcile_allocate(v_ledger_id, v_wanted, p_stock_level_ids);
+  v_deducted := (v_result ->> 'quantity_deducted')::integer;
+  v_first := v_result -> 'allocations' -> 0;
+
+  -- location_id / stock_level_id / on_hand_* keep the line's first allocation
+  update public.inventory_reconciliation_ledger
+     set quantity_deducted = coalesce(quantity_deducted, 0) + v_deducted,
+         shortfall_quantity = shortfall_quantity - v_deducted,
+         status = case
+           when shortfall_quantity - v_deducted = 0 then 'reconciled'
+           when coalesce(quantity_deducted, 0) + v_deducted > 0 then 'partial'
+           else 'short'
+         end,
+         location_id = coalesce(location_id, v_first ->> 'location_id'),
+         stock_level_id = coalesce(stock_level_id, v_first ->> 'stock_level_id'),
+         on_hand_before = coalesce(on_hand_before, (v_first ->> 'on_hand_before')::integer),
+         on_hand_after = coalesce(on_hand_after, (v_first ->> 'on_hand_after')::integer)
+   where id = v_ledger_id
+  returning status, shortfall_quantity into v_status, v_shortfall;
+
+  return jsonb_build_object(
+    'status', v_status,
+    'retried', v_retried,
+    'quantity_deducted', v_deducted,
+    'shortfall_quantity', v_shortfall,
+    'allocations', v_result -> 'allocations'
+  );
+end;
+$$;
@@ -0,0 +1,99 @@
+-- Return labels from shipstation_events / shipengine_events, turned into returns by the returns job and linked
+-- to the original order and shipment. The warehouse sets status = 'received' (adjusting items for a partial
+-- return if needed); the next run puts the items back into stock via restock_return().
+
+create table if not exists public.returns (
+  id bigserial primary key,
+  source text not null,              -- shipstation | shipengine
+  source_event_id text,              -- shipstation_id / shipengine_id of the return label
+  tracking_number text not null,
+  carrier_code text,
+  order_id text,
+  order_number text,
+  shipment_id text,                  -- outbound shipment being returned
+  client_id bigint,
+  items jsonb not null default '[]', -- [{ sku, quantity }]; defaults to the outbound shipment's items
+  status text not null default 'label_created', -- label_created | received | restocked | cancelled
+  label_created_at timestamptz,
+  received_at timestamptz,
+  restocked_at timestamptz,
+  restock_location_id bigint,        -- null: RETURNS_RESTOCK_LOCATION
+  restock_note text,                 -- why a received return could not be restocked yet
+  cancelled_at timestamptz,
+  run_id uuid,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists returns_tracking_key on public.returns (tracking_number);
+create index if not exists returns_status_idx on public.returns (status) where status in ('label_created', 'received');
+create index if not exists returns_order_number_idx on public.returns (order_number);
+
+-- Restock movements carry the item, location and quantity
+alter table public.inventory_movements
+  add column if not exists item_type text,
+  add column if not exists item_id text,
+  add column if not exists location_id text,
+  add column if not exists quantity integer;
+
+-- p_lines: [{ sku, item_type, item_id, quantity, stock_level_id }], stock rows at the restock location (the job
+-- creates missing ones first). Adds each quantity to on_hand, writes an inventory_movements row per line and marks
+-- the return restocked, all in one transaction.
+-- Returns jsonb { status, units } where status is one of restocked | not_received | not_found
+create or replace function public.restock_return(
+  p_return_id bigint,
+  p_location_id bigint,
+  p_lines jsonb,
+  p_run_id uuid default null
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_return record;
+  v_line jsonb;
+  v_qty integer;
+  v_units integer := 0;
+begin
+  select id, status, order_number into v_return
+    from public.returns
+   where id = p_return_id
+     for update;
+  if not found then
+    return jsonb_build_object('status', 'not_found');
+  end if;
+  if v_return.status <> 'received' then
+    return jsonb_build_object('status', 'not_received');
+  end if;
+
+  for v_line in select * from jsonb_array_elements(coalesce(p_lines, '[]'::jsonb))
+  loop
+    v_qty := (v_line ->> 'quantity')::integer;
+    continue when v_qty is null or v_qty <= 0;
+    update public.inventory_stock_levels
+       set on_hand = coalesce(on_hand, 0) + v_qty,
+           updated_at = now()
+     where id = (v_line ->> 'stock_level_id')::bigint;
+    if not found then
+      raise exception 'restock_return: stock row % not found', v_line ->> 'stock_level_id';
+    end if;
+    insert into public.inventory_movements
+      (reference_type, reference_id, reason, sku, item_type, item_id, location_id, quantity, notes, created_at)
+    values
+      ('return', p_return_id::text, 'return_restock', v_line ->> 'sku', v_line ->> 'item_type', v_line ->> 'item_id',
+       p_location_id::text, v_qty, format('Return %s for order %s restocked', p_return_id, coalesce(v_return.order_number, '?')), now());
+    v_units := v_units + v_qty;
+  end loop;
+
+  update public.returns
+     set status = 'restocked',
+         restocked_at = now(),
+         restock_location_id = p_location_id,
+         restock_note = null,
+         run_id = p_run_id,
+         updated_at = now()
+   where id = p_return_id;
+
+  return jsonb_build_object('status', 'restocked', 'units', v_units);
+end;
+$$;
@@ -0,0 +1,11 @@
+-- Backfilled shipments carry line items ([{ sku, quantity, name }]) so the reconciliation can deduct them.
+-- shipment_items_source records where they came from: shipstation_event | shipengine_event | order_items.
+
+alter table public.shipments
+  add column if not exists shipment_items_source text;
+
+-- Line items as delivered by each provider (ShipStation shipmentItems, ShipEngine items)
+alter table public.shipstation_events
+  add column if not exists shipment_items jsonb;
+alter table public.shipengine_events
+  add column if not exists items jsonb;
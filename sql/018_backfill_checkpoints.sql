@@ -0,0 +1,31 @@
+-- Backfill cursor per event source: the (create_date, event id) of the last event processed. Each backfill run
+-- resumes after it, so a backlog larger than one run drains over the following runs. Rewind with
+-- `node src/cli.js rewind-backfill --since <date>` to re-backfill deliberately.
+
+create table if not exists public.backfill_checkpoints (
+  source text primary key,           -- shipstation | shipengine
+  cursor_create_date timestamptz,
+  cursor_event_id text,              -- shipstation_id / shipengine_id; null: resume from cursor_create_date inclusive
+  run_id uuid,
+  rewound_at timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+-- Runs in a row the page after the cursor has failed; at BACKFILL_MAX_PAGE_RETRIES its failing events are
+-- dead-lettered and the cursor moves past them
+alter table public.backfill_checkpoints
+  add column if not exists retry_count integer not null default 0;
+
+create table if not exists public.backfill_dead_letters (
+  id bigserial primary key,
+  source text not null,              -- checkpoint source
+  event_id text not null,            -- shipstation_id / shipengine_id
+  tracking_number text,
+  cursor_value timestamptz,          -- the event's value in the scan's cursor column
+  attempts integer not null,
+  errors jsonb,                      -- the errors the page recorded for this event
+  run_id uuid,
+  status text not null default 'open', -- open | resolved
+  created_at timestamptz not null default now(),
+  unique (source, event_id)
+);
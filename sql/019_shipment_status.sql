@@ -0,0 +1,68 @@
+-- Delivery status from ShipEngine: shipments.status is now one of label_created | in_transit | exception |
+-- delivered | returned_to_sender ('active' remains on ShipStation rows and rows without a known status), and
+-- delivery_date is set when delivery is reported. Status only moves forward.
+
+-- Events are updated in place (a label is voided, ShipEngine moves shipment_status along), so the void and status
+-- passes follow updated_at rather than create_date. status_changed_at is when shipment_status last changed; for a
+-- delivered label that is when delivery was reported, and it becomes shipments.delivery_date.
+alter table public.shipstation_events
+  add column if not exists updated_at timestamptz;
+alter table public.shipengine_events
+  add column if not exists updated_at timestamptz,
+  add column if not exists status_changed_at timestamptz;
+
+-- Existing rows count as last changed when created; when they were delivered is unknown, so status_changed_at
+-- stays null and so does their delivery_date
+update public.shipstation_events set updated_at = create_date where updated_at is null;
+update public.shipengine_events set updated_at = create_date where updated_at is null;
+alter table public.shipstation_events alter column updated_at set default now();
+alter table public.shipengine_events alter column updated_at set default now();
+
+create or replace function public.touch_event_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+create or replace function public.stamp_shipengine_status_change()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    if new.shipment_status is not null then
+      new.status_changed_at := now();
+    end if;
+  elsif new.shipment_status is distinct from old.shipment_status then
+    new.status_changed_at := now();
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists shipstation_events_touch_updated_at on public.shipstation_events;
+create trigger shipstation_events_touch_updated_at
+  before insert or update on public.shipstation_events
+  for each row execute function public.touch_event_updated_at();
+
+drop trigger if exists shipengine_events_touch_updated_at on public.shipengine_events;
+create trigger shipengine_events_touch_updated_at
+  before insert or update on public.shipengine_events
+  for each row execute function public.touch_event_updated_at();
+
+drop trigger if exists shipengine_events_stamp_status_change on public.shipengine_events;
+create trigger shipengine_events_stamp_status_change
+  before insert or update on public.shipengine_events
+  for each row execute function public.stamp_shipengine_status_change();
+
+create index if not exists shipstation_events_updated_idx on public.shipstation_events (updated_at, shipstation_id);
+create index if not exists shipengine_events_updated_idx on public.shipengine_events (updated_at, shipengine_id);
+
+-- The void passes (shipstation_voids, shipengine_voids) and the status pass (shipengine_status) keep their own
+-- checkpoint rows, positioned by updated_at instead of create_date
+alter table public.backfill_checkpoints
+  add column if not exists cursor_updated_at timestamptz;
@@ -0,0 +1,28 @@
+-- Source precedence for backfilled shipment fields. field_sources records which source supplied a field when it is
+-- not the row's own source; a later source with higher precedence (BACKFILL_FIELD_PRECEDENCE) overwrites the value.
+-- Every disagreement between sources is logged in shipment_field_conflicts with both values for review.
+
+alter table public.shipments
+  add column if not exists field_sources jsonb not null default '{}'; -- { field: source }
+
+create table if not exists public.shipment_field_conflicts (
+  id bigserial primary key,
+  shipment_id text not null,
+  tracking_number text,
+  field text not null,
+  current_source text not null,     -- source of the value the shipment had
+  current_value text not null,
+  incoming_source text not null,
+  incoming_value text not null,
+  resolution text not null,         -- overwritten | kept
+  status text not null default 'open', -- open | reviewed
+  run_id uuid,
+  created_at timestamptz not null default now(),
+  reviewed_at timestamptz
+);
+
+-- The same disagreement seen again (rewound or targeted runs) is not logged twice
+create unique index if not exists shipment_field_conflicts_key
+  on public.shipment_field_conflicts (shipment_id, field, current_value, incoming_value);
+create index if not exists shipment_field_conflicts_open_idx
+  on public.shipment_field_conflicts (created_at) where status = 'open';
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+import 'dotenv/config';
+import { parseArgs } from 'node:util';
+import { JOBS, findJob } from './registry.js';
+import { exportPurchaseOrdersCsv } from './jobs/draftPurchaseOrders.js';
+import { rewindBackfill } from './jobs/backfillShipmentsFromEvents.js';
+
+// CLI flag → job option; numeric flags are validated as positive integers
+const FLAGS = {
+  since: { option: 'since', type: 'string' },
+  source: { option: 'source', type: 'string' },
+  order: { option: 'orderNumber', type: 'string' },
+  tracking: { option: 'trackingNumber', type: 'string' },
+  shipment: { option: 'shipmentId', type: 'string' },
+  'lookback-days': { option: 'lookbackDays', type: 'string', integer: true },
+  'lookback-hours': { option: 'lookbackHours', type: 'string', integer: true },
+  'page-size': { option: 'pageSize', type: 'string', integer: true },
+  'max-pages': { option: 'maxPages', type: 'string', integer: true },
+  'dry-run': { option: 'dryRun', type: 'boolean' }
+};
+
+// export-pos filters and output file
+const EXPORT_FLAGS = {
+  client: { type: 'string' },
+  supplier: { type: 'string' },
+  status: { type: 'string' },
+  out: { type: 'string' }
+};
+
+const OPTION_TO_FLAG = Object.fromEntries(Object.entries(FLAGS).map(([flag, f]) => [f.option, flag]));
+
+function usage() {
+  const lines = [
+    'Usage:',
+    '  node src/cli.js run <job> [--flags]',
+    '  node src/cli.js list',
+    '  node src/cli.js export-pos [--client <id>] [--supplier <id>] [--status draft] [--out <file.csv>]',
+    '  node src/cli.js rewind-backfill --since <date> [--source shipstation|shipengine]',
+    '',
+    'Jobs:'
+  ];
+  for (const job of JOBS) {
+    const flags = job.options.map((o) => `--${OPTION_TO_FLAG[o]}`).concat('--dry-run').join(' ');
+    lines.push(`  ${job.name.padEnd(16)} ${job.description}`);
+    lines.push(`  ${''.padEnd(16)} ${flags}`);
+  }
+  lines.push('', 'Examples:', '  node src/cli.js run backfill --since 2026-09-01 --source shipengine', '  node src/cli.js run fix-orders --order 12345');
+  return lines.join('\n');
+}
+
+function fail(message) {
+  console.error(`[CLI] ${message} (see --help)`);
+  process.exit(2);
+}
+
+function buildJobOptions(job, values) {
+  const options = {};
+  for (const [flag, value] of Object.entries(values)) {
+    if (value === undefined || flag === 'help') continue;
+    const spec = FLAGS[flag];
+    if (!spec) fail(`--${flag} is only supported by export-pos`);
+    if (spec.option !== 'dryRun' && !job.options.includes(spec.option)) {
+      fail(`--${flag} is not supported by ${job.name}`);
+    }
+    if (spec.option === 'since' && Number.isNaN(Date.parse(value))) {
+      fail(`--since must be a date (YYYY-MM-DD) or ISO timestamp, got "${value}"`);
+    }
+    if (spec.integer) {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n <= 0) fail(`--${flag} must be a positive integer, got "${value}"`);
+      options[spec.option] = n;
+    } else {
+      options[spec.option] = value;
+    }
+  }
+  return options;
+}
+
+// Purchase order lines as CSV for buyers: to --out, or stdout
+async function exportPos(values) {
+  for (const flag of Object.keys(values)) {
+    if (values[flag] !== undefined && !EXPORT_FLAGS[flag] && flag !== 'help') fail(`--${flag} is not supported by export-pos`);
+  }
+  const result = await exportPurchaseOrdersCsv({
+    clientId: values.client ?? null,
+    supplierId: values.supplier ?? null,
+    status: values.status || 'draft',
+    outPath: values.out || null
+  });
+  if (values.out) {
+    console.log(`[CLI] Wrote ${result.lineCount} line(s) from ${result.purchaseOrderCount} purchase order(s) to ${values.out}`);
+  } else {
+    process.stdout.write(result.csv);
+  }
+  return 0;
+}
+
+// Backfill checkpoints back to --since, for a deliberate re-backfill on the next run
+async function rewindBackfillCommand(values) {
+  for (const flag of Object.keys(values)) {
+    if (values[flag] !== undefined && !['since', 'source', 'help'].includes(flag)) fail(`--${flag} is not supported by rewind-backfill`);
+  }
+  if (!values.since) fail('rewind-backfill needs --since');
+  if (Number.isNaN(Date.parse(values.since))) fail(`--since must be a date (YYYY-MM-DD) or ISO timestamp, got "${values.since}"`);
+  const result = await rewindBackfill({ since: values.since, source: values.source || null });
+  if (!result) {
+    console.warn('[CLI] backfill is running (lock held); rewind not applied');
+    return 3;
+  }
+  console.log(`[CLI] Rewound ${result.sources.join(', ')} backfill checkpoint(s) to ${result.sinceIso}`);
+  return 0;
+}
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: process.argv.slice(2),
+      allowPositionals: true,
+      options: {
+        ...Object.fromEntries(Object.entries(FLAGS).map(([flag, f]) => [flag, { type: f.type }])),
+        ...EXPORT_FLAGS,
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (e) {
+    fail(e.message);
+  }
+  const { values, positionals } = parsed;
+  const [command, jobName] = positionals;
+
+  if (values.help || !command) {
+    console.log(usage());
+    return 0;
+  }
+  if (command === 'list') {
+    for (const job of JOBS) console.log(`${job.name.padEnd(16)} ${job.description}`);
+    return 0;
+  }
+  if (command === 'export-pos') return exportPos(values);
+  if (command === 'rewind-backfill') return rewindBackfillCommand(values);
+  if (command !== 'run') fail(`Unknown command: ${command}`);
+
+  const job = findJob(jobName);
+  if (!job) fail(`Unknown job: ${jobName || '(none)'}`);
+  const options = buildJobOptions(job, values);
+
+  console.log(`[CLI] Running ${job.name}`, JSON.stringify(options));
+  const result = await job.run(options);
+  if (!result) {
+    console.warn(`[CLI] ${job.name} did not run (lock held by another instance or lease lost)`);
+    return 3;
+  }
+  if (!options.dryRun) console.log(`[CLI] ${job.name} finished`, JSON.stringify(result));
+  return result.status === 'succeeded' ? 0 : 1;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((e) => {
+    console.error('[CLI] Job failed:', e);
+    process.exit(1);
+  });
@@ -0,0 +1,136 @@
+import { supabase } from '../lib/supabase.js';
+import { fetchIn } from '../lib/fetchAll.js';
+import { toIsoOrNull } from '../utils/dates.js';
+import { scanEvents } from './backfillCursor.js';
+
+// ShipEngine shipment_status (shipment statuses and tracking status codes) → shipments.status
+const SHIPENGINE_STATUSES = {
+  pending: 'label_created',
+  processing: 'label_created',
+  label_purchased: 'label_created',
+  label_created: 'label_created',
+  ny: 'label_created', // not yet in system
+  ac: 'in_transit', // accepted by the carrier
+  accepted: 'in_transit',
+  it: 'in_transit',
+  in_transit: 'in_transit',
+  at: 'in_transit', // delivery attempted
+  delivery_attempt: 'in_transit',
+  ex: 'exception',
+  exception: 'exception',
+  de: 'delivered',
+  sp: 'delivered', // delivered to a service point
+  delivered: 'delivered',
+  delivered_to_service_point: 'delivered',
+  returned_to_sender: 'returned_to_sender',
+  return_to_sender: 'returned_to_sender'
+};
+
+// A status only ever moves up; delivered and returned_to_sender are both final. 'active' is the status rows had
+// before any was known. Statuses outside this list are left alone.
+const STATUS_RANK = {
+  active: 0,
+  label_created: 1,
+  in_transit: 2,
+  exception: 3,
+  delivered: 4,
+  returned_to_sender: 4
+};
+
+// Raw values that can move a shipment past label_created, as stored (lower or upper case)
+const ADVANCING_STATUSES = Object.keys(SHIPENGINE_STATUSES)
+  .filter((raw) => STATUS_RANK[SHIPENGINE_STATUSES[raw]] > STATUS_RANK.label_created)
+  .flatMap((raw) => [raw, raw.toUpperCase()]);
+
+export function mapShipEngineStatus(raw) {
+  if (!raw) return null;
+  return SHIPENGINE_STATUSES[String(raw).trim().toLowerCase().replace(/[\s-]+/g, '_')] || null;
+}
+
+// When delivery was reported: the event's status_changed_at (sql/019). Null when that is not known.
+export function deliveryDateFor(evt, status) {
+  if (status !== 'delivered') return null;
+  return toIsoOrNull(evt.status_changed_at);
+}
+
+function isAdvance(current, next) {
+  const from = current == null ? 0 : STATUS_RANK[current];
+  return from !== undefined && STATUS_RANK[next] > from;
+}
+
+// Most advanced status (and its delivery date) per tracking number
+function latestStatuses(events) {
+  const byTracking = new Map();
+  for (const evt of events) {
+    const tracking = (evt.tracking_number || '').trim();
+    const status = mapShipEngineStatus(evt.shipment_status);
+    if (!tracking || !status) continue;
+    const prev = byTracking.get(tracking);
+    if (prev && STATUS_RANK[prev.status] >= STATUS_RANK[status]) continue;
+    byTracking.set(tracking, { status, deliveryDate: deliveryDateFor(evt, status) });
+  }
+  return byTracking;
+}
+
+// ShipEngine events past label_created → shipments.status moved forward, delivery_date set on delivery.
+// Events are updated in place as a label moves, so scheduled runs follow the events' updated_at from their own
+// checkpoint (shipengine_status); --since and targeted runs read settings' range. filter applies the backfill's
+// order / tracking filters.
+export async function applyShipmentStatuses(ctx, settings, filter = (q) => q) {
+  await scanEvents(ctx, settings, {
+    source: 'shipengine_status',
+    label: 'ShipEngine status',
+    table: 'shipengine_events',
+    idColumn: 'shipengine_id',
+    column: 'updated_at',
+    select: 'shipengine_id, tracking_number, shipment_status, status_changed_at, updated_at',
+    filter: (q) => filter(q
+      .in('shipment_status', ADVANCING_STATUSES)
+      .neq('voided', true)
+      .neq('is_return_label', true)
+      .not('tracking_number', 'is', null))
+  }, (events) => applyStatusPage(ctx, events));
+}
+
+async function applyStatusPage(ctx, events) {
+  const latest = latestStatuses(events);
+  if (!latest.size) return;
+
+  const { data: shipments, error: shipErr } = await fetchIn('shipments',
+    'id, tracking_number, status, delivery_date, voided', 'tracking_number', [...latest.keys()]);
+  if (shipErr) {
+    console.error('[Backfill] status shipments lookup error:', shipErr);
+    ctx.recordError('status_shipments_fetch', shipErr);
+    return;
+  }
+
+  for (const shipment of shipments) {
+    const next = latest.get(shipment.tracking_number);
+    if (!next || shipment.voided) continue;
+    const update = {};
+    if (isAdvance(shipment.status, next.status)) update.status = next.status;
+    if (next.deliveryDate && !shipment.delivery_date && (update.status || shipment.status) === 'delivered') {
+      update.delivery_date = next.deliveryDate;
+    }
+    if (!Object.keys(update).length) continue;
+    if (ctx.dryRun) {
+      ctx.plan('shipments', {
+        action: 'advance_status',
+        id: shipment.id,
+        tracking_number: shipment.tracking_number,
+        before: { status: shipment.status ?? null, delivery_date: shipment.delivery_date ?? null },
+        after: update
+      });
+    } else {
+      ctx.lease.assertHeld();
+      const { error: updErr } = await supabase.from('shipments').update(update).eq('id', shipment.id);
+      if (updErr) {
+        console.error('[Backfill] shipment status update error:', updErr);
+        ctx.recordError('shipment_status_update', updErr, { shipment_id: shipment.id });
+        continue;
+      }
+    }
+    if (update.status) ctx.count('shipment_statuses_advanced');
+    if (update.delivery_date) ctx.count('delivery_dates_set');
+  }
+}
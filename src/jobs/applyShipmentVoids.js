@@ -0,0 +1,204 @@
+import { supabase } from '../lib/supabase.js';
+import { LeaseLostError } from '../lib/jobLock.js';
+import { fetchAll, fetchIn } from '../lib/fetchAll.js';
+import { toIsoOrNull } from '../utils/dates.js';
+import { scanEvents } from './backfillCursor.js';
+
+const VOID_SOURCES = {
+  shipstation: { label: 'ShipStation', table: 'shipstation_events', idColumn: 'shipstation_id' },
+  shipengine: { label: 'ShipEngine', table: 'shipengine_events', idColumn: 'shipengine_id' }
+};
+
+// Live (not voided) labels of the same order, other than the one being voided (under any of its shipment rows)
+async function loadOtherLiveLabels(shipment) {
+  const byNumber = Boolean(shipment.order_number);
+  return fetchAll('shipments', 'id, tracking_number, ship_date', {
+    filter: (q) => q
+      .eq(byNumber ? 'order_number' : 'order_id', byNumber ? shipment.order_number : shipment.order_id)
+      .neq('id', shipment.id)
+      .neq('tracking_number', shipment.tracking_number)
+      .not('tracking_number', 'is', null)
+      .or('voided.is.null,voided.eq.false'),
+    order: [['ship_date', { ascending: false, nullsFirst: false }], ['id']]
+  });
+}
+
+// The order keeps tracking only while a live label remains: a voided number is swapped for the newest live one,
+// or cleared when none is left
+async function updateOrderTracking(ctx, shipment) {
+  if (!shipment.order_number && shipment.order_id == null) return;
+  let query = supabase.from('orders').select('order_id, order_number, tracking_number');
+  query = shipment.order_id != null ? query.eq('order_id', shipment.order_id) : query.eq('order_number', shipment.order_number);
+  const { data: order, error } = await query.limit(1).maybeSingle();
+  if (error) {
+    console.error('[Backfill] void order lookup error:', error);
+    ctx.recordError('void_order_lookup', error, { shipment_id: shipment.id });
+    return;
+  }
+  if (!order?.tracking_number) return;
+
+  const { data: live, error: liveErr } = await loadOtherLiveLabels(shipment);
+  if (liveErr) {
+    console.error('[Backfill] live labels lookup error:', liveErr);
+    ctx.recordError('void_live_labels_fetch', liveErr, { shipment_id: shipment.id });
+    return;
+  }
+  let tracking;
+  if (live.length === 0) tracking = null;
+  else if (order.tracking_number === shipment.tracking_number) tracking = live[0].tracking_number;
+  else return; // the order already points at another live label
+
+  if (ctx.dryRun) {
+    ctx.plan('orders', {
+      action: tracking ? 'replace_tracking' : 'clear_tracking',
+      order_id: order.order_id,
+      order_number: order.order_number,
+      before: { tracking_number: order.tracking_number },
+      after: { tracking_number: tracking }
+    });
+  } else {
+    ctx.lease.assertHeld();
+    const { error: updErr } = await supabase
+      .from('orders')
+      .update({ tracking_number: tracking })
+      .eq('order_id', order.order_id)
+      .eq('tracking_number', order.tracking_number);
+    if (updErr) {
+      console.error('[Backfill] order tracking update error:', updErr);
+      ctx.recordError('void_order_update', updErr, { order_id: order.order_id });
+      return;
+    }
+  }
+  ctx.count(tracking ? 'orders_tracking_replaced' : 'orders_tracking_cleared');
+}
+
+// Dry run: what void_shipment() would give back, from the ledger and its allocations
+async function planVoid(ctx, shipment, voidDate) {
+  if (!shipment.voided) {
+    ctx.plan('shipments', {
+      action: 'void',
+      id: shipment.id,
+      tracking_number: shipment.tracking_number,
+      before: { voided: shipment.voided ?? null, void_date: shipment.void_date ?? null },
+      after: { voided: true, void_date: shipment.void_date || voidDate }
+    });
+  }
+  const { data: lines, error } = await fetchAll('inventory_reconciliation_ledger',
+    'id, sku, quantity, quantity_deducted, stock_level_id',
+    { filter: (q) => q.eq('shipment_id', String(shipment.id)).is('reversed_at', null) });
+  if (error) throw Object.assign(new Error(`ledger lookup failed: ${error.message}`), { code: error.code });
+  const { data: allocations, error: allocErr } = await fetchIn('inventory_reconciliation_allocations',
+    'id, ledger_id, stock_level_id, quantity', 'ledger_id', lines.map((l) => l.id));
+  if (allocErr) throw Object.assign(new Error(`allocation lookup failed: ${allocErr.message}`), { code: allocErr.code });
+
+  let restored = 0;
+  for (const line of lines) {
+    const own = allocations.filter((a) => String(a.ledger_id) === String(line.id));
+    const restores = own.length ? own
+      : (line.stock_level_id ? [{ stock_level_id: line.stock_level_id, quantity: line.quantity_deducted ?? line.quantity }] : []);
+    ctx.plan('inventory_reconciliation_ledger', {
+      action: 'reverse',
+      id: line.id,
+      shipment_id: String(shipment.id),
+      sku: line.sku,
+      before: { reversed_at: null },
+      after: { status: 'reversed' }
+    });
+    for (const r of restores) {
+      ctx.plan('inventory_stock_levels', { action: 'increment', id: r.stock_level_id, shipment_id: shipment.id, sku: line.sku, quantity: r.quantity });
+      restored += r.quantity || 0;
+    }
+  }
+  return { status: shipment.voided ? 'already_voided' : 'voided', lines_reversed: lines.length, quantity_restored: restored };
+}
+
+async function applyVoid(ctx, shipment, voidDate) {
+  if (ctx.dryRun) return planVoid(ctx, shipment, voidDate);
+  ctx.lease.assertHeld();
+  // Marks the shipment voided and reverses its ledger lines in one transaction (sql/015_shipment_voids.sql)
+  const { data, error } = await supabase.rpc('void_shipment', {
+    p_shipment_id: String(shipment.id),
+    p_void_date: voidDate,
+    p_run_id: ctx.runId
+  });
+  if (error) throw Object.assign(new Error(`void_shipment failed: ${error.message}`), { code: error.code });
+  return data || {};
+}
+
+// Voided labels from one event source → shipments voided, stock deductions reversed, order tracking updated.
+// A label is voided on its existing event row, so scheduled runs follow the events' updated_at from the source's
+// own checkpoint (<source>_voids); --since and targeted runs read settings' range. filter applies the backfill's
+// order / tracking filters.
+export async function applyShipmentVoids(ctx, source, settings, filter = (q) => q) {
+  const { label, table, idColumn } = VOID_SOURCES[source];
+  await scanEvents(ctx, settings, {
+    source: `${source}_voids`,
+    label: `${label} voids`,
+    table,
+    idColumn,
+    column: 'updated_at',
+    select: '*',
+    filter: (q) => filter(q.eq('voided', true).neq('is_return_label', true).not('tracking_number', 'is', null))
+  }, (events) => applyVoidPage(ctx, source, events));
+}
+
+async function applyVoidPage(ctx, source, events) {
+  ctx.count('void_events_scanned', events.length);
+
+  const trackings = [...new Set(events.map((e) => (e.tracking_number || '').trim()).filter(Boolean))];
+  const { data: shipments, error: shipErr } = await fetchIn('shipments',
+    'id, tracking_number, order_id, order_number, voided, void_date', 'tracking_number', trackings);
+  if (shipErr) {
+    console.error('[Backfill] void shipments lookup error:', shipErr);
+    ctx.recordError('void_shipments_fetch', shipErr);
+    return;
+  }
+  // A tracking number can sit on more than one shipments row (e.g. one per source); the void applies to each
+  const byTracking = new Map();
+  for (const s of shipments) {
+    if (!byTracking.has(s.tracking_number)) byTracking.set(s.tracking_number, []);
+    byTracking.get(s.tracking_number).push(s);
+  }
+
+  const seen = new Set();
+  for (const evt of events) {
+    const tracking = (evt.tracking_number || '').trim();
+    if (seen.has(tracking)) continue;
+    seen.add(tracking);
+    const matches = byTracking.get(tracking) || [];
+    if (!matches.length) {
+      ctx.count('void_events_without_shipment');
+      continue;
+    }
+    const voidDate = toIsoOrNull(evt.voided_at || evt.void_date) || new Date().toISOString();
+    let applied = null;
+    for (const shipment of matches) {
+      // Also for shipments already marked voided: void_shipment() is idempotent and still reverses any ledger line
+      // left unreversed (e.g. reconciled while the void was being applied)
+      try {
+        const result = await applyVoid(ctx, shipment, voidDate);
+        if (result.status === 'not_found') continue;
+        applied = applied || shipment;
+        ctx.count(result.status === 'voided' ? 'shipments_voided' : 'voids_already_applied');
+        if (result.status === 'voided' || result.lines_reversed) {
+          console.log(`[Backfill] Voided shipment ${shipment.id} (${tracking}): ${result.lines_reversed || 0} ledger lines reversed, ${result.quantity_restored || 0} units restored`);
+        }
+        if (result.lines_reversed) ctx.count('ledger_lines_reversed', result.lines_reversed);
+        if (result.quantity_restored) ctx.count('stock_units_restored', result.quantity_restored);
+      } catch (e) {
+        if (e instanceof LeaseLostError) throw e;
+        console.error('[Backfill] void processing error:', e);
+        ctx.recordError(`${source}_void`, e, { shipment_id: shipment.id, tracking_number: tracking });
+      }
+    }
+    // Once per tracking number: the order's tracking follows the label, not the shipment row
+    if (!applied) continue;
+    try {
+      await updateOrderTracking(ctx, applied);
+    } catch (e) {
+      if (e instanceof LeaseLostError) throw e;
+      console.error('[Backfill] void order tracking error:', e);
+      ctx.recordError(`${source}_void`, e, { shipment_id: applied.id, tracking_number: tracking });
+    }
+  }
+}
@@ -0,0 +1,201 @@
+import { supabase } from '../lib/supabase.js';
+import { withJobLock } from '../lib/jobLock.js';
+
+const CHECKPOINT_TABLE = 'backfill_checkpoints';
+// Event column a cursor follows → the checkpoint column it is saved in
+const CURSOR_COLUMNS = { create_date: 'cursor_create_date', updated_at: 'cursor_updated_at' };
+// Checkpointed scans stop at events created this many minutes ago, so an event stored a little after the ones
+// created around it still lands ahead of the cursor
+const CURSOR_SETTLE_MINUTES = parseInt(process.env.BACKFILL_CURSOR_SETTLE_MINUTES || '5', 10);
+// Runs a failing page is retried on before its failing events go to backfill_dead_letters and the cursor moves on
+const MAX_PAGE_RETRIES = parseInt(process.env.BACKFILL_MAX_PAGE_RETRIES || '3', 10);
+const DEAD_LETTER_TABLE = 'backfill_dead_letters';
+
+function compareIds(a, b) {
+  if (/^\d+$/.test(a) && /^\d+$/.test(b)) return Number(a) - Number(b);
+  return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+// The later of two cursors { at, eventId }, in the events' (column, id) order
+function laterCursor(a, b) {
+  if (!a) return b;
+  const ta = Date.parse(a.at);
+  const tb = Date.parse(b.at);
+  if (ta !== tb) return tb > ta ? b : a;
+  if (a.eventId == null) return b;
+  return b.eventId != null && compareIds(b.eventId, a.eventId) > 0 ? b : a;
+}
+
+function cursorFields(column, cursor) {
+  return { [CURSOR_COLUMNS[column]]: cursor?.at ?? null, cursor_event_id: cursor?.eventId ?? null };
+}
+
+// Where this run's event scan starts, in (column, id) order: create_date for the event scans, updated_at for the
+// passes over events changed in place. With settings.useCheckpoint the source's saved cursor, or the lookback window
+// on the first run; otherwise settings.sinceIso and nothing is saved.
+export async function startCursor(ctx, settings, source, idColumn, column = 'create_date') {
+  if (!settings.useCheckpoint) {
+    const position = settings.sinceIso ? { at: settings.sinceIso, eventId: null } : null;
+    return { source, idColumn, column, persist: false, saved: null, initial: null, position, until: null, retryCount: 0 };
+  }
+  const savedColumn = CURSOR_COLUMNS[column];
+  const { data, error } = await supabase
+    .from(CHECKPOINT_TABLE)
+    .select(`source, ${savedColumn}, cursor_event_id, retry_count`)
+    .eq('source', source)
+    .maybeSingle();
+  if (error) {
+    console.error(`[Backfill] ${source} checkpoint fetch error:`, error);
+    ctx.recordError(`${source}_checkpoint_fetch`, error);
+    return null;
+  }
+  const saved = data?.[savedColumn] ? { at: data[savedColumn], eventId: data.cursor_event_id ?? null } : null;
+  const position = saved || { at: settings.sinceIso, eventId: null };
+  console.log(`[Backfill] ${source} resuming from ${saved ? `${saved.at} (${saved.eventId ?? 'inclusive'})` : `${settings.sinceIso} (no checkpoint)`}`);
+  const until = new Date(Date.now() - CURSOR_SETTLE_MINUTES * 60 * 1000).toISOString();
+  return { source, idColumn, column, persist: true, saved, initial: saved, position, until, retryCount: data?.retry_count || 0 };
+}
+
+// Events after the cursor position (column later, or equal with a greater id) and before its settle bound
+export function applyCursor(query, cursor) {
+  const { position, until, idColumn, column } = cursor;
+  const q = until ? query.lt(column, until) : query;
+  if (!position) return q;
+  if (position.eventId == null) return q.gte(column, position.at);
+  const at = `"${position.at}"`;
+  return q.or(`${column}.gt.${at},and(${column}.eq.${at},${idColumn}.gt."${position.eventId}")`);
+}
+
+async function saveCheckpoint(ctx, state, fields) {
+  ctx.lease.assertHeld();
+  const { error } = await supabase
+    .from(CHECKPOINT_TABLE)
+    .upsert({ source: state.source, ...fields, run_id: ctx.runId, updated_at: new Date().toISOString() }, { onConflict: 'source' });
+  if (error) {
+    console.error(`[Backfill] ${state.source} checkpoint save error:`, error);
+    ctx.recordError(`${state.source}_checkpoint_save`, error);
+    return false;
+  }
+  return true;
+}
+
+// The page's events behind its errors: those sharing a tracking number with an error, or the whole page when an
+// error names none (a failed batch lookup or write)
+function failingEvents(rows, pageErrors) {
+  const trackings = new Set(pageErrors.map((e) => e.tracking_number).filter(Boolean));
+  const pageWide = !pageErrors.length || pageErrors.some((e) => !e.tracking_number);
+  return pageWide ? rows : rows.filter((r) => trackings.has((r.tracking_number || '').trim()));
+}
+
+async function deadLetter(ctx, state, rows, pageErrors, attempts) {
+  const letters = failingEvents(rows, pageErrors).map((r) => ({
+    source: state.source,
+    event_id: String(r[state.idColumn]),
+    tracking_number: r.tracking_number || null,
+    cursor_value: r[state.column],
+    attempts,
+    errors: pageErrors.filter((e) => !e.tracking_number || e.tracking_number === (r.tracking_number || '').trim()),
+    run_id: ctx.runId
+  }));
+  console.warn(`[Backfill] ${state.source} page failed ${attempts} runs in a row; dead-lettering ${letters.length} event(s) and moving on`);
+  ctx.count('events_dead_lettered', letters.length);
+  if (ctx.dryRun) {
+    for (const row of letters) ctx.plan(DEAD_LETTER_TABLE, { action: 'insert', id: null, before: null, after: row });
+    return true;
+  }
+  ctx.lease.assertHeld();
+  const { error } = await supabase
+    .from(DEAD_LETTER_TABLE)
+    .upsert(letters, { onConflict: 'source,event_id', ignoreDuplicates: true });
+  if (error) {
+    console.error(`[Backfill] ${state.source} dead letter insert error:`, error);
+    ctx.recordError(`${state.source}_dead_letter`, error);
+    return false;
+  }
+  return true;
+}
+
+// Move past a processed page of events (ordered by the cursor's column, id). The saved cursor only moves forward.
+// A page that recorded errors is retried on the next run, up to BACKFILL_MAX_PAGE_RETRIES runs; then its failing
+// events are dead-lettered and the cursor moves past it. Returns false when the scan should stop.
+export async function advanceCursor(ctx, state, rows, errorsBefore) {
+  const last = rows[rows.length - 1];
+  if (!last?.[state.column]) return false;
+  state.position = { at: last[state.column], eventId: String(last[state.idColumn]) };
+  if (!state.persist) return true;
+  if (ctx.errorCount > errorsBefore) {
+    const attempts = state.retryCount + 1;
+    if (attempts < MAX_PAGE_RETRIES) {
+      console.warn(`[Backfill] ${state.source} page had errors; checkpoint stays at ${state.saved?.at ?? 'start'} for a retry next run (${attempts}/${MAX_PAGE_RETRIES})`);
+      state.retryCount = attempts;
+      if (!ctx.dryRun) await saveCheckpoint(ctx, state, { ...cursorFields(state.column, state.saved), retry_count: attempts });
+      return false;
+    }
+    // Errors past MAX_STORED_ERRORS are not kept; without them the whole page is dead-lettered
+    const pageErrors = ctx.errors.length === ctx.errorCount ? ctx.errors.slice(errorsBefore) : [];
+    if (!(await deadLetter(ctx, state, rows, pageErrors, attempts))) return false;
+  }
+  const next = laterCursor(state.saved, state.position);
+  if (next === state.saved && !state.retryCount) return true;
+  state.saved = next;
+  state.retryCount = 0;
+  if (ctx.dryRun) return true;
+
+  if (!(await saveCheckpoint(ctx, state, { ...cursorFields(state.column, next), retry_count: 0 }))) return false;
+  ctx.count('checkpoint_advances');
+  return true;
+}
+
+export function finishCursor(ctx, state, label, capped) {
+  if (capped) {
+    console.warn(`[Backfill] ${label} stopped at the page limit; ${state.persist
+      ? 'the rest of the backlog is picked up from the checkpoint next run' : 'narrow --since or raise --max-pages for the rest'}`);
+    ctx.count('event_scans_capped');
+  }
+  if (ctx.dryRun && state.persist && state.saved !== state.initial) {
+    ctx.plan(CHECKPOINT_TABLE, { action: 'advance', source: state.source, before: cursorFields(state.column, state.initial), after: cursorFields(state.column, state.saved) });
+  }
+}
+
+// Set the checkpoints ({ source, column }) back to sinceIso (inclusive), under the backfill lease so no run is moving
+// them meanwhile. Returns null when the backfill is running elsewhere.
+export async function rewindCursors(checkpoints, sinceIso) {
+  return withJobLock('backfill', async (lease) => {
+    const now = new Date().toISOString();
+    for (const { source, column } of checkpoints) {
+      lease.assertHeld();
+      const { error } = await supabase
+        .from(CHECKPOINT_TABLE)
+        .upsert({ source, ...cursorFields(column, { at: sinceIso, eventId: null }), retry_count: 0, run_id: null, rewound_at: now, updated_at: now }, { onConflict: 'source' });
+      if (error) throw Object.assign(new Error(`${source} checkpoint rewind failed: ${error.message}`), { code: error.code });
+      console.log(`[Backfill] ${source} checkpoint rewound to ${sinceIso}`);
+    }
+    return { sources: checkpoints.map((c) => c.source), sinceIso };
+  });
+}
+
+// Reads a table's events page by page from a cursor (see startCursor) and hands each page to handlePage before
+// moving past it. filter narrows the events query.
+export async function scanEvents(ctx, settings, { source, label, table, idColumn, column, select, filter }, handlePage) {
+  const cursor = await startCursor(ctx, settings, source, idColumn, column);
+  if (!cursor) return;
+  let page = 0;
+  while (page < settings.maxPages) {
+    const errorsBefore = ctx.errorCount;
+    const { data, error } = await applyCursor(filter(supabase.from(table).select(select)), cursor)
+      .order(column, { ascending: true })
+      .order(idColumn, { ascending: true })
+      .limit(settings.pageSize);
+    if (error) {
+      console.error(`[Backfill] ${label} fetch error:`, error);
+      ctx.recordError(`${source}_fetch`, error);
+      break;
+    }
+    if (!data || data.length === 0) break;
+    await handlePage(data);
+    if (!(await advanceCursor(ctx, cursor, data, errorsBefore))) break;
+    if (data.length < settings.pageSize) break;
+    page += 1;
+  }
+  finishCursor(ctx, cursor, label, page >= settings.maxPages);
+}
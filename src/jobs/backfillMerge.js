@@ -0,0 +1,126 @@
+import { supabase } from '../lib/supabase.js';
+
+const CONFLICTS_TABLE = 'shipment_field_conflicts';
+
+function parsePrecedence(raw) {
+  return String(raw || '').split('>').map((s) => s.trim().toLowerCase()).filter(Boolean);
+}
+
+// field:source>source entries, comma separated; the first source listed wins the field
+function parseFieldPrecedence(raw) {
+  const byField = {};
+  for (const entry of String(raw || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [field, order] = entry.split(':').map((s) => s.trim());
+    if (!field || !order) {
+      console.warn(`[Backfill] ignoring BACKFILL_FIELD_PRECEDENCE entry "${entry}"`);
+      continue;
+    }
+    byField[field] = parsePrecedence(order);
+  }
+  return byField;
+}
+
+const FIELD_PRECEDENCE = parseFieldPrecedence(process.env.BACKFILL_FIELD_PRECEDENCE
+  ?? 'shipment_cost:shipengine>shipstation,insurance_cost:shipengine>shipstation,warehouse_id:shipstation>shipengine');
+// Fields without their own entry; empty keeps whichever value was written first
+const SOURCE_PRECEDENCE = parsePrecedence(process.env.BACKFILL_SOURCE_PRECEDENCE || '');
+
+// Fields both sources describe; the rest are only filled when empty
+const MERGE_FIELDS = [
+  'order_id', 'order_number', 'create_date', 'ship_date', 'carrier_code', 'service_code', 'package_code', 'confirmation',
+  'warehouse_id', 'shipment_cost', 'insurance_cost', 'fulfillment_fee', 'ship_to_name', 'ship_to_company',
+  'ship_to_street1', 'ship_to_street2', 'ship_to_street3', 'ship_to_city', 'ship_to_state', 'ship_to_postal_code',
+  'ship_to_country', 'ship_to_phone', 'ship_to_residential'
+];
+const DATE_FIELDS = new Set(['create_date', 'ship_date']);
+
+// Lower is stronger; sources not listed rank below every listed one
+function rank(field, source) {
+  const order = FIELD_PRECEDENCE[field] || SOURCE_PRECEDENCE;
+  const i = order.indexOf(String(source || '').toLowerCase());
+  return i === -1 ? Number.MAX_SAFE_INTEGER : i;
+}
+
+function sameValue(field, a, b) {
+  if (DATE_FIELDS.has(field)) {
+    const da = new Date(a);
+    const db = new Date(b);
+    if (Number.isNaN(da.getTime()) || Number.isNaN(db.getTime())) return String(a) === String(b);
+    // ShipStation ship dates are date-only (midnight UTC); those match any time on the same day
+    const dateOnly = [da, db].some((d) => d.toISOString().endsWith('T00:00:00.000Z'));
+    return dateOnly ? da.toISOString().slice(0, 10) === db.toISOString().slice(0, 10) : da.getTime() === db.getTime();
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    const na = Number(a);
+    const nb = Number(b);
+    if (!Number.isNaN(na) && !Number.isNaN(nb)) return na === nb;
+  }
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+// The candidate's MERGE_FIELDS against an existing shipment: empty fields are filled, disagreements go to the
+// conflict log and the value is overwritten when the incoming source ranks above the one that wrote it.
+// Returns { update, conflicts }; update includes field_sources when ownership changes.
+export function mergeShipmentFields(existing, candidate) {
+  const incoming = candidate.source;
+  const fieldSources = { ...(existing.field_sources || {}) };
+  const update = {};
+  const conflicts = [];
+  let ownershipChanged = false;
+  const take = (field, value) => {
+    update[field] = value;
+    if ((fieldSources[field] ?? existing.source) !== incoming) {
+      fieldSources[field] = incoming;
+      ownershipChanged = true;
+    }
+  };
+
+  for (const field of MERGE_FIELDS) {
+    const value = candidate[field];
+    if (value === null || value === undefined) continue;
+    const current = existing[field];
+    if (current === null || current === undefined) {
+      take(field, value);
+      continue;
+    }
+    const owner = fieldSources[field] ?? existing.source;
+    if (owner === incoming || sameValue(field, current, value)) continue;
+    const overwrite = rank(field, incoming) < rank(field, owner);
+    conflicts.push({
+      shipment_id: String(existing.id),
+      tracking_number: existing.tracking_number || null,
+      field,
+      current_source: owner || 'unknown',
+      current_value: String(current),
+      incoming_source: incoming,
+      incoming_value: String(value),
+      resolution: overwrite ? 'overwritten' : 'kept'
+    });
+    if (overwrite) take(field, value);
+  }
+  if (ownershipChanged) update.field_sources = fieldSources;
+  return { update, conflicts };
+}
+
+export async function writeFieldConflicts(ctx, conflicts) {
+  if (!conflicts.length) return;
+  const overwritten = conflicts.filter((c) => c.resolution === 'overwritten').length;
+  if (overwritten) ctx.count('shipment_fields_overwritten', overwritten);
+  const rows = conflicts.map((c) => ({ ...c, run_id: ctx.runId }));
+  if (ctx.dryRun) {
+    for (const row of rows) ctx.plan(CONFLICTS_TABLE, { action: 'insert', id: null, before: null, after: row });
+    ctx.count('field_conflicts_logged', rows.length);
+    return;
+  }
+  ctx.lease.assertHeld();
+  const { data, error } = await supabase
+    .from(CONFLICTS_TABLE)
+    .upsert(rows, { onConflict: 'shipment_id,field,current_value,incoming_value', ignoreDuplicates: true })
+    .select('id');
+  if (error) {
+    console.error('[Backfill] field conflict log error:', error);
+    ctx.recordError('field_conflicts_insert', error, { rows: rows.length });
+    return;
+  }
+  if (data?.length) ctx.count('field_conflicts_logged', data.length);
+}
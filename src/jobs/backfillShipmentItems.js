@@ -0,0 +1,98 @@
+import { fetchIn } from '../lib/fetchAll.js';
+
+function itemList(raw) {
+  if (Array.isArray(raw)) return raw;
+  return raw?.items || raw?.shipmentItems || raw?.ShipmentItems || [];
+}
+
+// Provider line items (ShipStation shipmentItems, ShipEngine items, order_items rows) → [{ sku, quantity, name }]
+function toShipmentItems(raw) {
+  const items = [];
+  for (const itm of itemList(raw)) {
+    const sku = String(itm?.sku || itm?.SKU || itm?.product?.sku || '').trim();
+    const quantity = Number(itm?.quantity ?? itm?.Quantity ?? itm?.qty ?? 0);
+    if (!sku || !quantity) continue;
+    items.push({ sku, quantity, name: itm?.name || itm?.Name || itm?.description || null });
+  }
+  return items;
+}
+
+export function hasShipmentItems(value) {
+  return itemList(value).length > 0;
+}
+
+// Orders with more than one live label: their order_items cannot be split between the shipments
+async function findSplitOrders(entries) {
+  const trackings = new Map();
+  const add = (orderId, tracking) => {
+    if (!trackings.has(orderId)) trackings.set(orderId, new Set());
+    trackings.get(orderId).add(tracking);
+  };
+  for (const e of entries) add(e.orderId, e.candidate.tracking_number);
+  const { data, error } = await fetchIn('shipments', 'id, order_id, tracking_number, voided', 'order_id', [...trackings.keys()]);
+  if (error) return { error };
+  for (const s of data) if (!s.voided && s.tracking_number) add(String(s.order_id), s.tracking_number);
+  return { split: new Set([...trackings].filter(([, set]) => set.size > 1).map(([orderId]) => orderId)) };
+}
+
+async function loadOrderItems(orderIds) {
+  const { data, error } = await fetchIn('order_items', 'id, order_id, sku, quantity, name', 'order_id', orderIds,
+    { order: [['order_id'], ['id']] });
+  if (error) return { error };
+  const byOrder = new Map();
+  for (const r of data) {
+    const key = String(r.order_id);
+    if (!byOrder.has(key)) byOrder.set(key, []);
+    byOrder.get(key).push(r);
+  }
+  return { byOrder };
+}
+
+// Sets entry.items = { items, source } on every prepared { evt, candidate, existing, orderId } whose shipment has no
+// line items yet: the event's own items first, else the order's order_items while the order has a single live label.
+// orderId is only set when the event matched an orders row by order number; a provider's own order id is not an
+// orders.order_id. source is what shipments.shipment_items_source records.
+export async function assignShipmentItems(ctx, source, prepared) {
+  const fallback = [];
+  for (const entry of prepared) {
+    if (entry.existing && hasShipmentItems(entry.existing.shipment_items)) continue;
+    const items = toShipmentItems(entry.evt.shipment_items ?? entry.evt.items ?? null);
+    if (items.length) {
+      entry.items = { items, source: `${source}_event` };
+      ctx.count('shipment_items_from_event');
+    } else if (entry.orderId != null) {
+      fallback.push(entry);
+    } else {
+      ctx.count('shipment_items_missing');
+    }
+  }
+  if (!fallback.length) return;
+
+  const { split, error } = await findSplitOrders(fallback);
+  if (error) {
+    console.error('[Backfill] split order lookup error:', error);
+    ctx.recordError('shipment_items_orders_fetch', error);
+    return;
+  }
+  const single = fallback.filter((e) => {
+    if (!split.has(e.orderId)) return true;
+    ctx.count('shipment_items_split_order');
+    return false;
+  });
+  const { byOrder, error: itemsErr } = await loadOrderItems(single.map((e) => e.orderId));
+  if (itemsErr) {
+    // Shipments still get written; their items are filled on a later run
+    console.error('[Backfill] order_items lookup error:', itemsErr);
+    ctx.recordError('order_items_fetch', itemsErr);
+    return;
+  }
+  for (const entry of single) {
+    const items = toShipmentItems(byOrder.get(entry.orderId) || []);
+    if (!items.length) {
+      ctx.count('shipment_items_missing');
+      continue;
+    }
+    entry.items = { items, source: 'order_items' };
+    ctx.count('shipment_items_from_order');
+  }
+}
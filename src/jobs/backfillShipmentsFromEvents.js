@@ -1,58 +1,17 @@
 import { supabase } from '../lib/supabase.js';
+import { runJob } from '../lib/jobRunner.js';
+import { fetchIn } from '../lib/fetchAll.js';
+import { toIsoOrNull } from '../utils/dates.js';
+import { applyShipmentVoids } from './applyShipmentVoids.js';
+import { applyShipmentStatuses, mapShipEngineStatus, deliveryDateFor } from './applyShipmentStatuses.js';
+import { assignShipmentItems } from './backfillShipmentItems.js';
+import { mergeShipmentFields, writeFieldConflicts } from './backfillMerge.js';
+import { startCursor, applyCursor, advanceCursor, finishCursor, rewindCursors } from './backfillCursor.js';
 
 const LOOKBACK_DAYS = parseInt(process.env.BACKFILL_LOOKBACK_DAYS || '14', 10);
 const PAGE_SIZE = parseInt(process.env.BACKFILL_PAGE_SIZE || '500', 10);
 const MAX_PAGES = parseInt(process.env.BACKFILL_MAX_PAGES || '40', 10);
-
-function toIsoOrNull(value) {
-  if (!value) return null;
-  try {
-    // Accept date-only (ShipStation) or ISO timestamps
-    if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
-      return new Date(`${value}T00:00:00Z`).toISOString();
-    }
-    const d = new Date(value);
-    return Number.isNaN(d.getTime()) ? null : d.toISOString();
-  } catch (_) {
-    return null;
-  }
-}
-
-async function findShipmentByTracking(trackingNumber) {
-  if (!trackingNumber) return null;
-  const { data, error } = await supabase
-    .from('shipments')
-    .select('id, order_number, order_id, tracking_number, create_date, ship_date, carrier_code, service_code, package_code, source, source_api_shipment_id, shipengine_label_id, shipstation_actual_shipment_id')
-    .eq('tracking_number', trackingNumber)
-    .limit(1)
-    .maybeSingle();
-  if (error) {
-    console.error('[Backfill] shipments lookup error:', error);
-    return null;
-  }
-  return data || null;
-}
-
-async function findOrderRow(orderNumber, storeId) {
-  if (!orderNumber) return null;
-  try {
-    let query = supabase
-      .from('orders')
-      .select('order_id, store_id')
-      .eq('order_number', orderNumber)
-      .limit(1);
-    if (storeId != null) query = query.eq('store_id', storeId);
-    const { data, error } = await query.maybeSingle();
-    if (error) {
-      console.error('[Backfill] orders lookup error:', error);
-      return null;
-    }
-    return data || null;
-  } catch (e) {
-    console.error('[Backfill] orders lookup exception:', e);
-    return null;
-  }
-}
+const SOURCES = ['shipstation', 'shipengine'];
 
 function makeShipmentRowFromShipStationEvent(evt, orderRow) {
   return {
@@ -93,6 +52,7 @@ function makeShipmentRowFromShipStationEvent(evt, orderRow) {
     ship_to_phone: evt.ship_to_phone || null,
     ship_to_residential: evt.ship_to_residential || null,
     shipment_items: null,
+    shipment_items_source: null,
     created_at: null,
     is_fulfillment: (evt.source_type && String(evt.source_type).toLowerCase().includes('fulfillment')) ? true : false,
     source_api_shipment_id: evt.shipstation_id != null ? String(evt.shipstation_id) : null,
@@ -107,6 +67,7 @@ function makeShipmentRowFromShipStationEvent(evt, orderRow) {
 }
 
 function makeShipmentRowFromShipEngineEvent(evt, orderRow) {
+  const status = mapShipEngineStatus(evt.shipment_status);
   return {
     source: 'shipengine',
     type: null,
@@ -120,7 +81,7 @@ function makeShipmentRowFromShipEngineEvent(evt, orderRow) {
     create_date: toIsoOrNull(evt.create_date),
     ship_date: toIsoOrNull(evt.ship_date) || toIsoOrNull(evt.create_date),
     void_date: toIsoOrNull(evt.voided_at),
-    delivery_date: null,
+    delivery_date: deliveryDateFor(evt, status),
     carrier_code: evt.carrier_code || null,
     service_code: evt.service_code || null,
     package_code: evt.package_code || null,
@@ -145,11 +106,12 @@ function makeShipmentRowFromShipEngineEvent(evt, orderRow) {
     ship_to_phone: evt.ship_to_phone || null,
     ship_to_residential: evt.ship_to_residential || null,
     shipment_items: null,
+    shipment_items_source: null,
     created_at: null,
     is_fulfillment: false,
     source_api_shipment_id: evt.shipengine_id || null,
     label_pdf_url: null,
-    status: 'active',
+    status: status || 'active',
     shipengine_label_id: evt.shipengine_id || null,
     receipt_pdf_url: null,
     usps_transaction_id: null,
@@ -190,25 +152,99 @@ function buildExistingShipmentMap(rows) {
   return map;
 }
 
-async function processShipStationEvents(sinceIso) {
+// Prepared { evt, candidate, existing, items } → new rows, updates and field conflicts. Fields both sources
+// describe follow source precedence (backfillMerge.js); the rest are only filled when missing. Line items are set
+// apart: they fill a shipment whose items are empty ([] included), which the null check alone would miss.
+function buildShipmentChanges(prepared) {
+  const inserts = [];
+  const updates = [];
+  const conflicts = [];
+  for (const { candidate, existing, items } of prepared) {
+    const { shipment_items: _items, shipment_items_source: _source, ...fields } = candidate;
+    const itemFields = items ? { shipment_items: items.items, shipment_items_source: items.source } : {};
+    if (!existing) {
+      inserts.push({ ...candidate, ...itemFields });
+      continue;
+    }
+    const merged = mergeShipmentFields(existing, fields);
+    conflicts.push(...merged.conflicts);
+    const update = { ...buildUpdateForMissingFields(existing, fields), ...merged.update, ...itemFields };
+    if (Object.keys(update).length > 0) updates.push({ id: existing.id, update, existing });
+  }
+  return { inserts, updates, conflicts };
+}
+
+function pickFields(row, keys) {
+  const out = {};
+  for (const k of keys) out[k] = row[k] ?? null;
+  return out;
+}
+
+async function writeShipmentChanges(sourceLabel, inserts, updates, ctx) {
+  const stage = sourceLabel.toLowerCase();
+  if (ctx.dryRun) {
+    for (const row of inserts) {
+      ctx.plan('shipments', { action: 'insert', source: row.source, tracking_number: row.tracking_number, before: null, after: row });
+    }
+    for (const u of updates) {
+      ctx.plan('shipments', {
+        action: 'fill_missing',
+        id: u.id,
+        tracking_number: u.existing.tracking_number,
+        before: pickFields(u.existing, Object.keys(u.update)),
+        after: u.update
+      });
+    }
+    ctx.count('shipments_inserted', inserts.length);
+    ctx.count('shipments_updated', updates.length);
+    return;
+  }
+
+  ctx.lease.assertHeld();
+  if (inserts.length) {
+    const { error: insErr } = await supabase.from('shipments').insert(inserts, { returning: 'minimal' });
+    if (insErr) {
+      console.error(`[Backfill] batch insert shipments (${sourceLabel}) error:`, insErr);
+      ctx.recordError(`${stage}_insert`, insErr, { rows: inserts.length });
+    } else {
+      ctx.count('shipments_inserted', inserts.length);
+    }
+  }
+  for (const u of updates) {
+    ctx.lease.assertHeld();
+    const { error: updErr } = await supabase.from('shipments').update(u.update).eq('id', u.id);
+    if (updErr) {
+      console.error(`[Backfill] batch update shipments (${sourceLabel}) error:`, updErr);
+      ctx.recordError(`${stage}_update`, updErr, { shipment_id: u.id, tracking_number: u.existing.tracking_number || null });
+    } else {
+      ctx.count('shipments_updated');
+    }
+  }
+}
+
+async function processShipStationEvents(settings, ctx) {
+  const cursor = await startCursor(ctx, settings, 'shipstation', 'shipstation_id');
+  if (!cursor) return;
   let page = 0;
-  while (page < MAX_PAGES) {
-    const from = page * PAGE_SIZE;
-    const to = from + PAGE_SIZE - 1;
-    const { data, error } = await supabase
+  while (page < settings.maxPages) {
+    const errorsBefore = ctx.errorCount;
+    const query = applyCursor(applyTargetFilters(supabase
       .from('shipstation_events')
-      .select('shipstation_id, order_id, order_number, store_id, tracking_number, carrier_code, service_code, package_code, confirmation, warehouse_id, shipment_cost, insurance_cost, fulfillment_fee, create_date, ship_date, voided, is_return_label, marketplace_notified, notify_error_message, source_type')
-      .gte('create_date', sinceIso)
+      .select('shipstation_id, order_id, order_number, store_id, tracking_number, carrier_code, service_code, package_code, confirmation, warehouse_id, shipment_cost, insurance_cost, fulfillment_fee, create_date, ship_date, voided, is_return_label, marketplace_notified, notify_error_message, source_type, shipment_items')
       .neq('voided', true)
       .neq('is_return_label', true)
-      .not('tracking_number', 'is', null)
+      .not('tracking_number', 'is', null), settings), cursor);
+    const { data, error } = await query
       .order('create_date', { ascending: true })
-      .range(from, to);
+      .order('shipstation_id', { ascending: true })
+      .limit(settings.pageSize);
     if (error) {
       console.error('[Backfill] ShipStation fetch error:', error);
+      ctx.recordError('shipstation_fetch', error);
       break;
     }
     if (!data || data.length === 0) break;
+    ctx.count('events_scanned', data.length);
     // Batch prep
     const trackings = Array.from(new Set((data.map(e => (e.tracking_number || '').trim())).filter(Boolean)));
     const orderNumbers = Array.from(new Set((data.map(e => e.order_number).filter(Boolean))));
@@ -216,27 +252,31 @@ async function processShipStationEvents(sinceIso) {
     // Batch fetch existing shipments
     let existingMap = new Map();
     if (trackings.length) {
-      const { data: existingRows, error: existErr } = await supabase
-        .from('shipments')
-        .select('id, tracking_number, order_number, order_id, create_date, ship_date, carrier_code, service_code, package_code, source, source_api_shipment_id, shipengine_label_id, shipstation_actual_shipment_id')
-        .in('tracking_number', trackings);
-      if (existErr) console.error('[Backfill] existing shipments batch error:', existErr);
+      const { data: existingRows, error: existErr } = await fetchIn('shipments',
+        '*', 'tracking_number', trackings);
+      if (existErr) {
+        // Without the existing rows every event would look new and be inserted again
+        console.error('[Backfill] existing shipments batch error:', existErr);
+        ctx.recordError('existing_shipments_fetch', existErr);
+        break;
+      }
       existingMap = buildExistingShipmentMap(existingRows);
     }
 
     // Batch fetch orders
     let orderMaps = { byComposite: new Map(), byNumber: new Map() };
     if (orderNumbers.length) {
-      const { data: orderRows, error: ordErr } = await supabase
-        .from('orders')
-        .select('order_id, order_number, store_id')
-        .in('order_number', orderNumbers);
-      if (ordErr) console.error('[Backfill] orders batch error:', ordErr);
+      const { data: orderRows, error: ordErr } = await fetchIn('orders', 'order_id, order_number, store_id', 'order_number', orderNumbers,
+        { order: [['order_id']] });
+      if (ordErr) {
+        console.error('[Backfill] orders batch error:', ordErr);
+        ctx.recordError('orders_fetch', ordErr);
+        break;
+      }
       orderMaps = buildOrderMaps(orderRows);
     }
 
-    const inserts = [];
-    const updates = [];
+    const prepared = [];
     for (const evt of data) {
       try {
         const tracking = (evt?.tracking_number || '').trim();
@@ -245,114 +285,165 @@ async function processShipStationEvents(sinceIso) {
 
         const ordKey = `${evt.order_number}|${evt.store_id ?? 'null'}`;
         const orderRow = orderMaps.byComposite.get(ordKey) || orderMaps.byNumber.get(evt.order_number) || null;
-        const candidate = makeShipmentRowFromShipStationEvent(evt, orderRow);
-
-        if (!existing) {
-          inserts.push(candidate);
-          continue;
-        }
-        const update = buildUpdateForMissingFields(existing, candidate);
-        if (Object.keys(update).length > 0) updates.push({ id: existing.id, update });
+        const orderId = orderRow?.order_id != null ? String(orderRow.order_id) : null;
+        prepared.push({ evt, existing, orderId, candidate: makeShipmentRowFromShipStationEvent(evt, orderRow) });
       } catch (e) {
         console.error('[Backfill] ShipStation upsert error:', e);
+        ctx.recordError('shipstation_prepare', e, { tracking_number: evt?.tracking_number || null });
       }
     }
 
-    if (inserts.length) {
-      const { error: insErr } = await supabase.from('shipments').insert(inserts, { returning: 'minimal' });
-      if (insErr) console.error('[Backfill] batch insert shipments (ShipStation) error:', insErr);
-    }
-    for (const u of updates) {
-      const { error: updErr } = await supabase.from('shipments').update(u.update).eq('id', u.id);
-      if (updErr) console.error('[Backfill] batch update shipments (ShipStation) error:', updErr);
-    }
-    if (data.length < PAGE_SIZE) break;
+    await assignShipmentItems(ctx, 'shipstation', prepared);
+    const { inserts, updates, conflicts } = buildShipmentChanges(prepared);
+    await writeShipmentChanges('ShipStation', inserts, updates, ctx);
+    await writeFieldConflicts(ctx, conflicts);
+    if (!(await advanceCursor(ctx, cursor, data, errorsBefore))) break;
+    if (data.length < settings.pageSize) break;
     page += 1;
   }
+  finishCursor(ctx, cursor, 'ShipStation', page >= settings.maxPages);
 }
 
-async function processShipEngineEvents(sinceIso) {
+async function processShipEngineEvents(settings, ctx) {
+  const cursor = await startCursor(ctx, settings, 'shipengine', 'shipengine_id');
+  if (!cursor) return;
   let page = 0;
-  while (page < MAX_PAGES) {
-    const from = page * PAGE_SIZE;
-    const to = from + PAGE_SIZE - 1;
-    const { data, error } = await supabase
+  while (page < settings.maxPages) {
+    const errorsBefore = ctx.errorCount;
+    const query = applyCursor(applyTargetFilters(supabase
       .from('shipengine_events')
-      .select('shipengine_id, order_number, tracking_number, carrier_code, service_code, package_code, shipment_status, ship_date, create_date, voided, voided_at, is_return_label, ship_to_name, ship_to_company, ship_to_street1, ship_to_street2, ship_to_street3, ship_to_city, ship_to_state, ship_to_postal_code, ship_to_country, ship_to_phone, ship_to_residential, shipping_amount, insurance_amount')
-      .gte('create_date', sinceIso)
+      .select('shipengine_id, order_number, tracking_number, carrier_code, service_code, package_code, shipment_status, ship_date, create_date, voided, voided_at, is_return_label, ship_to_name, ship_to_company, ship_to_street1, ship_to_street2, ship_to_street3, ship_to_city, ship_to_state, ship_to_postal_code, ship_to_country, ship_to_phone, ship_to_residential, shipping_amount, insurance_amount, items, status_changed_at')
       .neq('voided', true)
       .neq('is_return_label', true)
-      .not('tracking_number', 'is', null)
+      .not('tracking_number', 'is', null), settings), cursor);
+    const { data, error } = await query
       .order('create_date', { ascending: true })
-      .range(from, to);
+      .order('shipengine_id', { ascending: true })
+      .limit(settings.pageSize);
     if (error) {
       console.error('[Backfill] ShipEngine fetch error:', error);
+      ctx.recordError('shipengine_fetch', error);
       break;
     }
     if (!data || data.length === 0) break;
+    ctx.count('events_scanned', data.length);
     // Batch prep
     const trackings = Array.from(new Set((data.map(e => (e.tracking_number || '').trim())).filter(Boolean)));
     const orderNumbers = Array.from(new Set((data.map(e => e.order_number).filter(Boolean))));
 
     let existingMap = new Map();
     if (trackings.length) {
-      const { data: existingRows, error: existErr } = await supabase
-        .from('shipments')
-        .select('id, tracking_number, order_number, order_id, create_date, ship_date, carrier_code, service_code, package_code, source, source_api_shipment_id, shipengine_label_id, shipstation_actual_shipment_id')
-        .in('tracking_number', trackings);
-      if (existErr) console.error('[Backfill] existing shipments batch error:', existErr);
+      const { data: existingRows, error: existErr } = await fetchIn('shipments',
+        '*', 'tracking_number', trackings);
+      if (existErr) {
+        // Without the existing rows every event would look new and be inserted again
+        console.error('[Backfill] existing shipments batch error:', existErr);
+        ctx.recordError('existing_shipments_fetch', existErr);
+        break;
+      }
       existingMap = buildExistingShipmentMap(existingRows);
     }
 
     let orderMaps = { byComposite: new Map(), byNumber: new Map() };
     if (orderNumbers.length) {
-      const { data: orderRows, error: ordErr } = await supabase
-        .from('orders')
-        .select('order_id, order_number, store_id')
-        .in('order_number', orderNumbers);
-      if (ordErr) console.error('[Backfill] orders batch error:', ordErr);
+      const { data: orderRows, error: ordErr } = await fetchIn('orders', 'order_id, order_number, store_id', 'order_number', orderNumbers,
+        { order: [['order_id']] });
+      if (ordErr) {
+        console.error('[Backfill] orders batch error:', ordErr);
+        ctx.recordError('orders_fetch', ordErr);
+        break;
+      }
       orderMaps = buildOrderMaps(orderRows);
     }
 
-    const inserts = [];
-    const updates = [];
+    const prepared = [];
     for (const evt of data) {
       try {
         const tracking = (evt?.tracking_number || '').trim();
         if (!tracking) continue;
         const existing = existingMap.get(tracking) || null;
         const orderRow = orderMaps.byNumber.get(evt.order_number) || null;
-        const candidate = makeShipmentRowFromShipEngineEvent(evt, orderRow);
-        if (!existing) {
-          inserts.push(candidate);
-          continue;
-        }
-        const update = buildUpdateForMissingFields(existing, candidate);
-        if (Object.keys(update).length > 0) updates.push({ id: existing.id, update });
+        const orderId = orderRow?.order_id != null ? String(orderRow.order_id) : null;
+        prepared.push({ evt, existing, orderId, candidate: makeShipmentRowFromShipEngineEvent(evt, orderRow) });
       } catch (e) {
         console.error('[Backfill] ShipEngine upsert error:', e);
+        ctx.recordError('shipengine_prepare', e, { tracking_number: evt?.tracking_number || null });
       }
     }
 
-    if (inserts.length) {
-      const { error: insErr } = await supabase.from('shipments').insert(inserts, { returning: 'minimal' });
-      if (insErr) console.error('[Backfill] batch insert shipments (ShipEngine) error:', insErr);
-    }
-    for (const u of updates) {
-      const { error: updErr } = await supabase.from('shipments').update(u.update).eq('id', u.id);
-      if (updErr) console.error('[Backfill] batch update shipments (ShipEngine) error:', updErr);
-    }
-    if (data.length < PAGE_SIZE) break;
+    await assignShipmentItems(ctx, 'shipengine', prepared);
+    const { inserts, updates, conflicts } = buildShipmentChanges(prepared);
+    await writeShipmentChanges('ShipEngine', inserts, updates, ctx);
+    await writeFieldConflicts(ctx, conflicts);
+    if (!(await advanceCursor(ctx, cursor, data, errorsBefore))) break;
+    if (data.length < settings.pageSize) break;
     page += 1;
   }
+  finishCursor(ctx, cursor, 'ShipEngine', page >= settings.maxPages);
+}
+
+// Env defaults, overridable per run (CLI): since, source, orderNumber, trackingNumber, lookbackDays, pageSize, maxPages
+function resolveSettings(options = {}) {
+  const targeted = Boolean(options.orderNumber || options.trackingNumber);
+  const lookbackDays = options.lookbackDays ?? LOOKBACK_DAYS;
+  let sinceIso = options.since ? toIsoOrNull(options.since) : null;
+  if (options.since && !sinceIso) throw new Error(`Invalid since value: ${options.since}`);
+  // A targeted reprocess looks at all events for that order/tracking unless --since narrows it
+  if (!sinceIso && !targeted) sinceIso = new Date(Date.now() - lookbackDays * 24 * 3600 * 1000).toISOString();
+  const source = options.source ? String(options.source).toLowerCase() : 'all';
+  if (source !== 'all' && !SOURCES.includes(source)) throw new Error(`Unknown backfill source: ${options.source}`);
+  return {
+    sinceIso,
+    // Scheduled runs resume from the saved cursor; --since and targeted runs scan their own range and leave it alone
+    useCheckpoint: !options.since && !targeted,
+    sources: source === 'all' ? SOURCES : [source],
+    orderNumber: options.orderNumber || null,
+    trackingNumber: options.trackingNumber || null,
+    pageSize: options.pageSize ?? PAGE_SIZE,
+    maxPages: options.maxPages ?? MAX_PAGES
+  };
+}
+
+function applyTargetFilters(query, settings) {
+  let q = query;
+  if (settings.orderNumber) q = q.eq('order_number', settings.orderNumber);
+  if (settings.trackingNumber) q = q.eq('tracking_number', settings.trackingNumber);
+  return q;
 }
 
-export async function runBackfillShipmentsFromEvents() {
-  const sinceIso = new Date(Date.now() - LOOKBACK_DAYS * 24 * 3600 * 1000).toISOString();
-  console.log(`[Backfill] Starting backfill from events since ${sinceIso}`);
-  await processShipStationEvents(sinceIso);
-  await processShipEngineEvents(sinceIso);
+async function backfillShipmentsFromEvents(ctx) {
+  const settings = resolveSettings(ctx.options);
+  const scope = [
+    settings.useCheckpoint ? 'from checkpoint' : (settings.sinceIso ? `since ${settings.sinceIso}` : 'all time'),
+    settings.orderNumber ? `order ${settings.orderNumber}` : null,
+    settings.trackingNumber ? `tracking ${settings.trackingNumber}` : null
+  ].filter(Boolean).join(', ');
+  console.log(`[Backfill] Starting backfill from ${settings.sources.join('+')} events (${scope})`);
+  if (settings.sources.includes('shipstation')) await processShipStationEvents(settings, ctx);
+  if (settings.sources.includes('shipengine')) await processShipEngineEvents(settings, ctx);
+  // Voided labels are skipped above; apply them to the shipments they belong to. A label voided later keeps its
+  // create_date, so voids follow the events' updated_at with their own checkpoints rather than the cursor above.
+  for (const source of settings.sources) await applyShipmentVoids(ctx, source, settings, (q) => applyTargetFilters(q, settings));
+  // Same for delivery progress: ShipEngine updates shipment_status on the event as the label moves
+  if (settings.sources.includes('shipengine')) await applyShipmentStatuses(ctx, settings, (q) => applyTargetFilters(q, settings));
   console.log('[Backfill] Completed backfill run');
 }
 
+export async function runBackfillShipmentsFromEvents(options = {}) {
+  return runJob('backfill', (ctx) => backfillShipmentsFromEvents(ctx), options);
+}
 
+// Move the sources' checkpoints (event scan, voids and, for ShipEngine, statuses) back to since, so the next
+// backfill run re-reads events from there. Returns null when a backfill run holds the lock.
+export async function rewindBackfill({ since, source } = {}) {
+  const sinceIso = toIsoOrNull(since);
+  if (!sinceIso) throw new Error(`Invalid since value: ${since}`);
+  const key = source ? String(source).toLowerCase() : 'all';
+  if (key !== 'all' && !SOURCES.includes(key)) throw new Error(`Unknown backfill source: ${source}`);
+  const checkpoints = (key === 'all' ? SOURCES : [key]).flatMap((s) => [
+    { source: s, column: 'create_date' },
+    { source: `${s}_voids`, column: 'updated_at' },
+    ...(s === 'shipengine' ? [{ source: 'shipengine_status', column: 'updated_at' }] : [])
+  ]);
+  return rewindCursors(checkpoints, sinceIso);
+}
@@ -0,0 +1,307 @@
+import { supabase } from '../lib/supabase.js';
+import { runJob } from '../lib/jobRunner.js';
+import { postJson } from '../lib/webhook.js';
+import { fetchAll } from '../lib/fetchAll.js';
+
+// Runtime controls for alert notification delivery
+const NOTIFY_BATCH_SIZE = parseInt(process.env.ALERT_NOTIFY_BATCH_SIZE || '200', 10);
+const NOTIFY_MAX_ATTEMPTS = parseInt(process.env.ALERT_NOTIFY_MAX_ATTEMPTS || '5', 10);
+// Retry n waits RETRY_BASE_SECONDS * 2^(n-1)
+const NOTIFY_RETRY_BASE_SECONDS = parseInt(process.env.ALERT_NOTIFY_RETRY_BASE_SECONDS || '60', 10);
+const NOTIFY_TIMEOUT_MS = parseInt(process.env.ALERT_NOTIFY_TIMEOUT_MS || '10000', 10);
+
+const OUTBOX_TABLE = 'alert_notifications';
+const ENDPOINTS_TABLE = 'alert_notification_endpoints';
+const DELIVERIES_TABLE = 'alert_notification_deliveries';
+
+const SLACK_ICONS = { opened: ':rotating_light:', escalated: ':arrow_double_up:', resolved: ':white_check_mark:' };
+
+function resolveSettings(options = {}) {
+  return { batchSize: options.pageSize ?? NOTIFY_BATCH_SIZE };
+}
+
+// ---------- payloads ----------
+
+function notificationJson(n) {
+  return {
+    notification_id: n.id,
+    alert_id: n.alert_id,
+    event: n.event_type,
+    client_id: n.client_id,
+    sku: n.sku,
+    alert_type: n.alert_type,
+    previous_alert_type: n.previous_alert_type || null,
+    severity: n.severity,
+    reason: n.reason,
+    occurred_at: n.created_at
+  };
+}
+
+function slackLine(n) {
+  const what = n.event_type === 'escalated'
+    ? `escalated ${n.previous_alert_type || '?'} → *${n.alert_type}*`
+    : `*${n.alert_type}* ${n.event_type}`;
+  const severity = n.event_type === 'resolved' ? '' : ` (${n.severity})`;
+  return `${SLACK_ICONS[n.event_type] || ':bell:'} \`${n.sku}\` client ${n.client_id ?? '-'}: ${what}${severity} — ${n.reason || ''}`.trim();
+}
+
+function buildPayload(endpoint, notifications, digest) {
+  if (endpoint.kind === 'slack') {
+    const lines = notifications.map(slackLine);
+    const text = digest ? [`*Inventory alert digest* — ${notifications.length} change(s)`, ...lines].join('\n') : lines[0];
+    return { text };
+  }
+  if (digest) {
+    return {
+      type: 'inventory_alert.digest',
+      endpoint: endpoint.name,
+      generated_at: new Date().toISOString(),
+      count: notifications.length,
+      notifications: notifications.map(notificationJson)
+    };
+  }
+  return { type: `inventory_alert.${notifications[0].event_type}`, ...notificationJson(notifications[0]) };
+}
+
+function send(endpoint, payload, idempotencyKey) {
+  // Generic receivers can drop redeliveries by this key (Slack ignores extra headers)
+  const headers = { 'Idempotency-Key': idempotencyKey, ...(endpoint.headers || {}) };
+  return postJson(endpoint.url, payload, { headers, timeoutMs: NOTIFY_TIMEOUT_MS });
+}
+
+// ---------- routing ----------
+
+function matchesEndpoint(endpoint, n) {
+  if (endpoint.client_id != null && String(endpoint.client_id) !== String(n.client_id)) return false;
+  if (Array.isArray(endpoint.event_types) && endpoint.event_types.length && !endpoint.event_types.includes(n.event_type)) return false;
+  return true;
+}
+
+// Fan pending outbox rows out to one delivery per matching endpoint; (notification, endpoint) is unique
+async function routeNotifications(ctx, settings, endpoints) {
+  const { data: pending, error } = await supabase
+    .from(OUTBOX_TABLE)
+    .select('*')
+    .eq('status', 'pending')
+    .order('id', { ascending: true })
+    .limit(settings.batchSize);
+  if (error) {
+    console.error('[Notify] outbox fetch error:', error);
+    ctx.recordError('outbox_fetch', error);
+    return;
+  }
+
+  for (const n of pending || []) {
+    const targets = endpoints.filter((e) => matchesEndpoint(e, n));
+    const now = new Date().toISOString();
+    const deliveries = targets.map((e) => ({
+      notification_id: n.id,
+      endpoint_id: e.id,
+      status: e.mode === 'digest' ? 'digest_pending' : 'pending',
+      attempts: 0,
+      next_attempt_at: now
+    }));
+    const status = deliveries.length ? 'routed' : 'no_route';
+
+    if (ctx.dryRun) {
+      for (const d of deliveries) ctx.plan(DELIVERIES_TABLE, { action: 'insert', notification_id: n.id, before: null, after: d });
+      ctx.plan(OUTBOX_TABLE, { action: 'route', id: n.id, before: { status: n.status }, after: { status } });
+      ctx.count('notifications_routed');
+      continue;
+    }
+
+    ctx.lease.assertHeld();
+    if (deliveries.length) {
+      const { error: insErr } = await supabase
+        .from(DELIVERIES_TABLE)
+        .upsert(deliveries, { onConflict: 'notification_id,endpoint_id', ignoreDuplicates: true });
+      if (insErr) {
+        console.error('[Notify] delivery insert error:', insErr);
+        ctx.recordError('route', insErr, { notification_id: n.id });
+        continue;
+      }
+    }
+    const { error: updErr } = await supabase
+      .from(OUTBOX_TABLE)
+      .update({ status, routed_at: now })
+      .eq('id', n.id)
+      .eq('status', 'pending');
+    if (updErr) {
+      console.error('[Notify] outbox update error:', updErr);
+      ctx.recordError('route', updErr, { notification_id: n.id });
+      continue;
+    }
+    ctx.count(deliveries.length ? 'notifications_routed' : 'notifications_without_route');
+  }
+}
+
+// ---------- immediate delivery ----------
+
+async function recordAttempt(ctx, delivery, result) {
+  const attempts = (delivery.attempts || 0) + 1;
+  const now = new Date();
+  let update;
+  if (result.ok) {
+    update = { status: 'sent', attempts, sent_at: now.toISOString(), response_status: result.status, last_error: null };
+  } else if (attempts >= NOTIFY_MAX_ATTEMPTS) {
+    update = { status: 'failed', attempts, response_status: result.status, last_error: result.error };
+  } else {
+    const waitMs = NOTIFY_RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+    update = {
+      status: 'retrying',
+      attempts,
+      next_attempt_at: new Date(now.getTime() + waitMs).toISOString(),
+      response_status: result.status,
+      last_error: result.error
+    };
+  }
+  const { error } = await supabase
+    .from(DELIVERIES_TABLE)
+    .update(update)
+    .eq('id', delivery.id)
+    .eq('status', delivery.status);
+  if (error) {
+    console.error('[Notify] delivery update error:', error);
+    ctx.recordError('delivery_update', error, { delivery_id: delivery.id });
+  }
+  return update.status;
+}
+
+async function deliverDue(ctx, settings, endpointsById) {
+  const { data: due, error } = await supabase
+    .from(DELIVERIES_TABLE)
+    .select('id, notification_id, endpoint_id, status, attempts, alert_notifications!inner(*)')
+    .in('status', ['pending', 'retrying'])
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('id', { ascending: true })
+    .limit(settings.batchSize);
+  if (error) {
+    console.error('[Notify] due deliveries fetch error:', error);
+    ctx.recordError('deliveries_fetch', error);
+    return;
+  }
+
+  for (const d of due || []) {
+    const endpoint = endpointsById.get(String(d.endpoint_id));
+    const n = d.alert_notifications;
+    if (!endpoint) {
+      // Endpoint was deactivated after routing
+      if (ctx.dryRun) {
+        ctx.plan(DELIVERIES_TABLE, { action: 'cancel', id: d.id, before: { status: d.status }, after: { status: 'cancelled' } });
+      } else {
+        ctx.lease.assertHeld();
+        const { error: cancelErr } = await supabase
+          .from(DELIVERIES_TABLE)
+          .update({ status: 'cancelled' })
+          .eq('id', d.id)
+          .eq('status', d.status);
+        if (cancelErr) {
+          console.error('[Notify] delivery update error:', cancelErr);
+          ctx.recordError('delivery_update', cancelErr, { delivery_id: d.id });
+          continue;
+        }
+      }
+      ctx.count('deliveries_cancelled');
+      continue;
+    }
+
+    const payload = buildPayload(endpoint, [n], false);
+    if (ctx.dryRun) {
+      ctx.plan('webhooks', { action: 'post', delivery_id: d.id, endpoint: endpoint.name, url: endpoint.url, before: null, after: payload });
+      continue;
+    }
+
+    ctx.lease.assertHeld();
+    const result = await send(endpoint, payload, `alert-delivery-${d.id}`);
+    const status = await recordAttempt(ctx, d, result);
+    if (status === 'sent') {
+      ctx.count('deliveries_sent');
+    } else {
+      console.warn(`[Notify] delivery ${d.id} to ${endpoint.name} ${status}: ${result.error}`);
+      ctx.count(status === 'failed' ? 'deliveries_failed' : 'deliveries_retrying');
+      if (status === 'failed') ctx.recordError('delivery', { message: result.error }, { delivery_id: d.id, endpoint: endpoint.name });
+    }
+  }
+}
+
+// ---------- daily digest ----------
+
+// Due once per UTC day, at or after the endpoint's digest_hour_utc
+function digestDue(endpoint, now) {
+  const todayAt = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), endpoint.digest_hour_utc ?? 8));
+  if (now < todayAt) return false;
+  return !endpoint.last_digest_at || new Date(endpoint.last_digest_at) < todayAt;
+}
+
+async function sendDigests(ctx, endpoints) {
+  const now = new Date();
+  for (const endpoint of endpoints.filter((e) => e.mode === 'digest' && digestDue(e, now))) {
+    const { data: rows, error } = await fetchAll(DELIVERIES_TABLE, 'id, notification_id, endpoint_id, status, attempts, alert_notifications!inner(*)', {
+      filter: (q) => q.eq('endpoint_id', endpoint.id).eq('status', 'digest_pending'),
+      order: [['id', { ascending: true }]]
+    });
+    if (error) {
+      console.error('[Notify] digest fetch error:', error);
+      ctx.recordError('digest_fetch', error, { endpoint: endpoint.name });
+      continue;
+    }
+
+    const nowIso = now.toISOString();
+    const ids = (rows || []).map((r) => r.id);
+    const payload = ids.length ? buildPayload(endpoint, rows.map((r) => r.alert_notifications), true) : null;
+    if (ctx.dryRun) {
+      if (payload) ctx.plan('webhooks', { action: 'post_digest', endpoint: endpoint.name, url: endpoint.url, before: null, after: payload });
+      ctx.plan(ENDPOINTS_TABLE, { action: 'digest_sent', id: endpoint.id, before: { last_digest_at: endpoint.last_digest_at || null }, after: { last_digest_at: nowIso } });
+      continue;
+    }
+
+    ctx.lease.assertHeld();
+    if (payload) {
+      const result = await send(endpoint, payload, `alert-digest-${endpoint.id}-${nowIso.slice(0, 10)}`);
+      if (!result.ok) {
+        // Left as digest_pending; retried on the next run
+        console.warn(`[Notify] digest to ${endpoint.name} failed: ${result.error}`);
+        ctx.recordError('digest', { message: result.error }, { endpoint: endpoint.name });
+        continue;
+      }
+      const { error: updErr } = await supabase
+        .from(DELIVERIES_TABLE)
+        .update({ status: 'sent', sent_at: nowIso, digest_sent_at: nowIso })
+        .in('id', ids)
+        .eq('status', 'digest_pending');
+      if (updErr) {
+        console.error('[Notify] digest delivery update error:', updErr);
+        ctx.recordError('digest', updErr, { endpoint: endpoint.name });
+      }
+      ctx.count('digests_sent');
+      ctx.count('digest_notifications', ids.length);
+    }
+    const { error: epErr } = await supabase.from(ENDPOINTS_TABLE).update({ last_digest_at: nowIso }).eq('id', endpoint.id);
+    if (epErr) {
+      console.error('[Notify] endpoint update error:', epErr);
+      ctx.recordError('digest', epErr, { endpoint: endpoint.name });
+    }
+  }
+}
+
+// Route queued alert notifications to endpoints, post immediate ones (with retries) and send due digests
+async function deliverAlertNotifications(ctx) {
+  const settings = resolveSettings(ctx.options);
+  const { data: endpoints, error } = await fetchAll(ENDPOINTS_TABLE, '*', { filter: (q) => q.eq('is_active', true) });
+  if (error) {
+    console.error('[Notify] endpoints fetch error:', error);
+    ctx.recordError('endpoints_fetch', error);
+    return;
+  }
+  const active = endpoints || [];
+  const endpointsById = new Map(active.map((e) => [String(e.id), e]));
+
+  await routeNotifications(ctx, settings, active);
+  await deliverDue(ctx, settings, endpointsById);
+  await sendDigests(ctx, active);
+  console.log('[Notify] Alert notification delivery complete', JSON.stringify(ctx.counters));
+}
+
+export function runDeliverAlertNotifications(options = {}) {
+  return runJob('alert-notify', (ctx) => deliverAlertNotifications(ctx), options);
+}
@@ -0,0 +1,282 @@
+import { writeFile } from 'node:fs/promises';
+import { supabase } from '../lib/supabase.js';
+import { fetchAll, fetchIn } from '../lib/fetchAll.js';
+import { runJob } from '../lib/jobRunner.js';
+import { loadReorderSettings, settingsFor } from '../lib/reorderSettings.js';
+import { clientSkuKey } from '../utils/skuResolver.js';
+
+const PO_TABLE = 'purchase_orders';
+const LINES_TABLE = 'purchase_order_lines';
+
+// POs the buyers have sent; their lines count as stock on order and are never touched here
+const ON_ORDER_STATUSES = ['submitted'];
+
+const CSV_COLUMNS = ['purchase_order_id', 'status', 'client_id', 'supplier_id', 'sku', 'quantity', 'shortfall_quantity',
+  'on_order_quantity', 'moq', 'pack_size', 'alert_id', 'updated_at'];
+
+function groupKey(clientId, supplierId) {
+  return `${clientId}|${supplierId ?? ''}`;
+}
+
+// Shortfall raised to the MOQ, then up to a whole number of packs
+function roundOrderQuantity(shortfall, moq, packSize) {
+  let qty = Math.max(shortfall, moq || 0);
+  if (packSize && packSize > 1) qty = Math.ceil(qty / packSize) * packSize;
+  return qty;
+}
+
+async function loadPurchaseAlerts() {
+  return fetchAll('inventory_alerts', 'id, client_id, message, shortfall_quantity',
+    { filter: (q) => q.eq('item_type', 'client_product').eq('alert_type', 'purchase').eq('is_active', true) });
+}
+
+// Quantity per (client, SKU) already on submitted POs
+async function loadOnOrder() {
+  const { data, error } = await fetchAll(LINES_TABLE, 'id, client_id, sku, quantity, purchase_orders!inner(status)',
+    { filter: (q) => q.in('purchase_orders.status', ON_ORDER_STATUSES) });
+  if (error) return { error };
+  const onOrder = new Map();
+  for (const l of data || []) {
+    const key = clientSkuKey(l.client_id, l.sku);
+    onOrder.set(key, (onOrder.get(key) || 0) + (l.quantity || 0));
+  }
+  return { onOrder };
+}
+
+async function loadDrafts() {
+  const { data: pos, error } = await fetchAll(PO_TABLE, 'id, client_id, supplier_id, status', { filter: (q) => q.eq('status', 'draft') });
+  if (error) return { error };
+  const drafts = new Map();
+  for (const po of pos || []) drafts.set(groupKey(po.client_id, po.supplier_id), { ...po, lines: new Map() });
+  const ids = (pos || []).map((p) => p.id);
+  if (ids.length) {
+    const { data: lines, error: linesErr } = await fetchIn(LINES_TABLE,
+      'id, purchase_order_id, sku, quantity, shortfall_quantity, on_order_quantity, moq, pack_size, alert_id', 'purchase_order_id', ids);
+    if (linesErr) return { error: linesErr };
+    const byId = new Map([...drafts.values()].map((d) => [String(d.id), d]));
+    for (const l of lines || []) byId.get(String(l.purchase_order_id))?.lines.set(l.sku, l);
+  }
+  return { drafts };
+}
+
+// Open purchase alerts → wanted PO lines grouped per (client, supplier)
+function buildWanted(ctx, alerts, settings, onOrder) {
+  const wanted = new Map();
+  for (const a of alerts) {
+    if (!(a.shortfall_quantity > 0)) {
+      // Raised before shortfalls were recorded; filled in by the next inventory-alert run
+      ctx.count('alerts_without_shortfall');
+      continue;
+    }
+    const key = clientSkuKey(a.client_id, a.message);
+    const s = settingsFor(settings, a.client_id, key);
+    const inbound = onOrder.get(key) || 0;
+    const remaining = a.shortfall_quantity - inbound;
+    if (remaining <= 0) {
+      ctx.count('skus_covered_by_open_pos');
+      continue;
+    }
+    const supplierId = s?.supplier_id ?? null;
+    const gk = groupKey(a.client_id, supplierId);
+    if (!wanted.has(gk)) wanted.set(gk, { clientId: a.client_id, supplierId, lines: new Map() });
+    wanted.get(gk).lines.set(a.message, {
+      client_id: a.client_id,
+      sku: a.message,
+      alert_id: a.id,
+      shortfall_quantity: a.shortfall_quantity,
+      on_order_quantity: inbound,
+      moq: s?.moq ?? null,
+      pack_size: s?.pack_size ?? null,
+      quantity: roundOrderQuantity(remaining, s?.moq, s?.pack_size)
+    });
+  }
+  return wanted;
+}
+
+async function createDraft(ctx, group) {
+  const now = new Date().toISOString();
+  const row = { client_id: group.clientId, supplier_id: group.supplierId, status: 'draft', run_id: ctx.runId, created_at: now, updated_at: now };
+  if (ctx.dryRun) {
+    ctx.plan(PO_TABLE, { action: 'insert', id: null, client_id: group.clientId, supplier_id: group.supplierId, before: null, after: row });
+    ctx.count('purchase_orders_created');
+    return { id: null, ...row, lines: new Map() };
+  }
+  ctx.lease.assertHeld();
+  const { data, error } = await supabase.from(PO_TABLE).insert([row]).select('id');
+  if (error || !data?.[0]) {
+    console.error('[PO] purchase order insert error:', error);
+    ctx.recordError('po_insert', error || { message: 'no id returned' }, { client_id: group.clientId, supplier_id: group.supplierId });
+    return null;
+  }
+  ctx.count('purchase_orders_created');
+  return { id: data[0].id, ...row, lines: new Map() };
+}
+
+function lineChanged(existing, line) {
+  return ['quantity', 'shortfall_quantity', 'on_order_quantity', 'moq', 'pack_size', 'alert_id']
+    .some((f) => String(existing[f] ?? '') !== String(line[f] ?? ''));
+}
+
+async function syncLines(ctx, po, lines) {
+  const now = new Date().toISOString();
+  let changed = false;
+  for (const [sku, line] of lines.entries()) {
+    const existing = po.lines.get(sku);
+    if (existing && !lineChanged(existing, line)) continue;
+    const row = { ...line, purchase_order_id: po.id, run_id: ctx.runId, updated_at: now };
+    if (ctx.dryRun) {
+      ctx.plan(LINES_TABLE, {
+        action: existing ? 'update' : 'insert',
+        id: existing?.id || null,
+        purchase_order_id: po.id,
+        sku,
+        before: existing ? { quantity: existing.quantity, shortfall_quantity: existing.shortfall_quantity } : null,
+        after: row
+      });
+    } else {
+      ctx.lease.assertHeld();
+      const { error } = existing
+        ? await supabase.from(LINES_TABLE).update(row).eq('id', existing.id)
+        : await supabase.from(LINES_TABLE).insert([row]);
+      if (error) {
+        console.error('[PO] purchase order line write error:', error);
+        ctx.recordError('po_line_write', error, { purchase_order_id: po.id, sku });
+        continue;
+      }
+    }
+    changed = true;
+    ctx.count(existing ? 'po_lines_updated' : 'po_lines_added');
+  }
+
+  // Lines whose alert closed (or moved to another supplier) leave the draft
+  for (const [sku, existing] of po.lines.entries()) {
+    if (lines.has(sku)) continue;
+    if (ctx.dryRun) {
+      ctx.plan(LINES_TABLE, { action: 'delete', id: existing.id, purchase_order_id: po.id, sku, before: { quantity: existing.quantity }, after: null });
+    } else {
+      ctx.lease.assertHeld();
+      const { error } = await supabase.from(LINES_TABLE).delete().eq('id', existing.id);
+      if (error) {
+        console.error('[PO] purchase order line delete error:', error);
+        ctx.recordError('po_line_delete', error, { purchase_order_id: po.id, sku });
+        continue;
+      }
+    }
+    changed = true;
+    ctx.count('po_lines_removed');
+  }
+
+  if (changed && po.id != null && !ctx.dryRun) {
+    ctx.lease.assertHeld();
+    const { error } = await supabase.from(PO_TABLE).update({ updated_at: now, run_id: ctx.runId }).eq('id', po.id).eq('status', 'draft');
+    if (error) {
+      console.error('[PO] purchase order update error:', error);
+      ctx.recordError('po_update', error, { purchase_order_id: po.id });
+    }
+  }
+}
+
+async function cancelDraft(ctx, po) {
+  await syncLines(ctx, po, new Map());
+  const now = new Date().toISOString();
+  if (ctx.dryRun) {
+    ctx.plan(PO_TABLE, { action: 'cancel', id: po.id, client_id: po.client_id, supplier_id: po.supplier_id, before: { status: 'draft' }, after: { status: 'cancelled' } });
+  } else {
+    ctx.lease.assertHeld();
+    const { error } = await supabase
+      .from(PO_TABLE)
+      .update({ status: 'cancelled', cancelled_at: now, updated_at: now, run_id: ctx.runId })
+      .eq('id', po.id)
+      .eq('status', 'draft');
+    if (error) {
+      console.error('[PO] purchase order cancel error:', error);
+      ctx.recordError('po_cancel', error, { purchase_order_id: po.id });
+      return;
+    }
+  }
+  ctx.count('purchase_orders_cancelled');
+}
+
+// Keep exactly one draft PO per (client, supplier) whose lines match the open purchase alerts.
+// Reruns with unchanged alerts write nothing.
+async function draftPurchaseOrders(ctx) {
+  const { data: alerts, error: alertErr } = await loadPurchaseAlerts();
+  if (alertErr) {
+    console.error('[PO] purchase alerts fetch error:', alertErr);
+    ctx.recordError('alerts_fetch', alertErr);
+    return;
+  }
+  const settings = await loadReorderSettings();
+  if (settings.error) {
+    console.error('[PO] inventory_reorder_settings error:', settings.error);
+    ctx.recordError('reorder_settings_fetch', settings.error);
+    return;
+  }
+  const { onOrder, error: onOrderErr } = await loadOnOrder();
+  if (onOrderErr) {
+    console.error('[PO] on-order lines fetch error:', onOrderErr);
+    ctx.recordError('on_order_fetch', onOrderErr);
+    return;
+  }
+  const { drafts, error: draftErr } = await loadDrafts();
+  if (draftErr) {
+    console.error('[PO] draft purchase orders fetch error:', draftErr);
+    ctx.recordError('drafts_fetch', draftErr);
+    return;
+  }
+
+  const wanted = buildWanted(ctx, alerts || [], settings, onOrder);
+  for (const [gk, group] of wanted.entries()) {
+    const po = drafts.get(gk) || await createDraft(ctx, group);
+    if (!po) continue;
+    await syncLines(ctx, po, group.lines);
+  }
+  for (const [gk, po] of drafts.entries()) {
+    if (!wanted.has(gk)) await cancelDraft(ctx, po);
+  }
+  console.log(`[PO] ${wanted.size} draft purchase order(s) in sync with ${(alerts || []).length} purchase alert(s)`);
+}
+
+export function runDraftPurchaseOrders(options = {}) {
+  return runJob('draft-pos', (ctx) => draftPurchaseOrders(ctx), options);
+}
+
+// ---------- CSV export ----------
+
+function csvCell(value) {
+  if (value == null) return '';
+  const s = String(value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// One row per PO line; filters: clientId, supplierId, status (default draft). Writes to outPath or returns the CSV.
+export async function exportPurchaseOrdersCsv({ clientId = null, supplierId = null, status = 'draft', outPath = null } = {}) {
+  const { data: pos, error } = await fetchAll(PO_TABLE, 'id, client_id, supplier_id, status', {
+    filter: (q) => {
+      let query = q.eq('status', status);
+      if (clientId != null) query = query.eq('client_id', clientId);
+      if (supplierId != null) query = query.eq('supplier_id', supplierId);
+      return query;
+    },
+    order: [['id', { ascending: true }]]
+  });
+  if (error) throw Object.assign(new Error(`purchase orders fetch failed: ${error.message}`), { code: error.code });
+
+  const rows = [CSV_COLUMNS.join(',')];
+  const ids = (pos || []).map((p) => p.id);
+  if (ids.length) {
+    const { data: lines, error: linesErr } = await fetchIn(LINES_TABLE,
+      'purchase_order_id, sku, quantity, shortfall_quantity, on_order_quantity, moq, pack_size, alert_id, updated_at',
+      'purchase_order_id', ids, { order: [['purchase_order_id', { ascending: true }], ['sku', { ascending: true }]] });
+    if (linesErr) throw Object.assign(new Error(`purchase order lines fetch failed: ${linesErr.message}`), { code: linesErr.code });
+    const poById = new Map(pos.map((p) => [String(p.id), p]));
+    for (const l of lines || []) {
+      const po = poById.get(String(l.purchase_order_id));
+      const record = { ...l, status: po.status, client_id: po.client_id, supplier_id: po.supplier_id };
+      rows.push(CSV_COLUMNS.map((c) => csvCell(record[c])).join(','));
+    }
+  }
+  const csv = `${rows.join('\n')}\n`;
+  if (outPath) await writeFile(outPath, csv);
+  return { csv, lineCount: rows.length - 1, purchaseOrderCount: ids.length };
+}
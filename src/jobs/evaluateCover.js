@@ -0,0 +1,87 @@
+import { fetchAll } from '../lib/fetchAll.js';
+import { loadReorderSettings, settingsFor } from '../lib/reorderSettings.js';
+import { clientSkuKey, normalizeSku } from '../utils/skuResolver.js';
+
+// Shipped quantity over this window sets the daily velocity
+const REORDER_VELOCITY_DAYS = parseInt(process.env.REORDER_VELOCITY_DAYS || '28', 10);
+// Extra days of cover wanted on top of the supplier lead time, unless the settings row sets its own
+const REORDER_COVER_BUFFER_DAYS = parseInt(process.env.REORDER_COVER_BUFFER_DAYS || '7', 10);
+
+// Units shipped per (client, SKU) per day, from reconciled shipment lines in the velocity window (voids excluded)
+async function loadVelocity(idToKey) {
+  const since = new Date(Date.now() - 1000 * 60 * 60 * 24 * REORDER_VELOCITY_DAYS).toISOString();
+  const { data, error } = await fetchAll('inventory_reconciliation_ledger', 'id, item_id, quantity',
+    { filter: (q) => q.eq('item_type', 'client_product').gte('reconciled_at', since).is('reversed_at', null) });
+  if (error) return { error };
+  const shipped = new Map();
+  for (const r of data || []) {
+    const key = idToKey.get(String(r.item_id));
+    if (!key) continue;
+    shipped.set(key, (shipped.get(key) || 0) + (r.quantity || 0));
+  }
+  const velocity = new Map();
+  for (const [key, qty] of shipped.entries()) velocity.set(key, qty / REORDER_VELOCITY_DAYS);
+  return { velocity };
+}
+
+// Severity by how soon the SKU runs out relative to the lead time
+function coverSeverity(daysToStockout, daysOfCover, leadTime) {
+  if (daysToStockout < leadTime) return 'high'; // stocks out before a reorder placed today arrives
+  if (daysOfCover < leadTime) return 'medium'; // dips into safety stock before it arrives
+  return 'low';
+}
+
+// Days-of-cover / reorder point check for every client SKU that has reorder settings.
+// Returns Map clientSkuKey → { clientId, sku, alertType: 'low_cover' | null, severity, reason }.
+export async function evaluateCover(ctx, { ciRows, idToKey, totalByKey, demand }) {
+  const result = new Map();
+  const settings = await loadReorderSettings();
+  if (settings.error) {
+    console.error('[Cron] inventory_reorder_settings error:', settings.error);
+    ctx.recordError('reorder_settings_fetch', settings.error);
+    return result;
+  }
+  if (settings.defaults.size === 0 && settings.bySku.size === 0) return result;
+
+  const { velocity, error: velErr } = await loadVelocity(idToKey);
+  if (velErr) {
+    console.error('[Cron] shipment velocity error:', velErr);
+    ctx.recordError('velocity_fetch', velErr);
+    return result;
+  }
+
+  for (const ci of ciRows) {
+    const sku = normalizeSku(ci.sku);
+    const key = clientSkuKey(ci.client_id, sku);
+    if (result.has(key)) continue;
+    const s = settingsFor(settings, ci.client_id, key);
+    if (!s) continue;
+
+    const perDay = velocity.get(key) || 0;
+    const leadTime = s.lead_time_days || 0;
+    const buffer = s.cover_buffer_days ?? REORDER_COVER_BUFFER_DAYS;
+    const safety = s.safety_stock || 0;
+    // Queued orders will consume stock before anything else does
+    const projected = Math.max(0, (totalByKey.get(key) || 0) - (demand.get(key)?.quantity || 0));
+    const reorderPoint = s.reorder_point ?? (perDay > 0 ? Math.ceil(perDay * leadTime + safety) : null);
+    const daysOfCover = perDay > 0 ? Math.max(0, projected - safety) / perDay : Infinity;
+    const daysToStockout = perDay > 0 ? projected / perDay : Infinity;
+
+    const lowCover = daysOfCover < leadTime + buffer;
+    const belowReorderPoint = reorderPoint != null && projected <= reorderPoint;
+    ctx.count('skus_cover_evaluated');
+    if (!lowCover && !belowReorderPoint) {
+      result.set(key, { clientId: ci.client_id, sku, alertType: null, severity: null, reason: 'cover_sufficient' });
+      continue;
+    }
+    const cover = Number.isFinite(daysOfCover) ? `${daysOfCover.toFixed(1)}d` : 'n/a';
+    result.set(key, {
+      clientId: ci.client_id,
+      sku,
+      alertType: 'low_cover',
+      severity: coverSeverity(daysToStockout, daysOfCover, leadTime),
+      reason: `cover ${cover} vs lead ${leadTime}d + buffer ${buffer}d; projected ${projected}, reorder point ${reorderPoint ?? 'n/a'}, velocity ${perDay.toFixed(2)}/day`
+    });
+  }
+  return result;
+}
@@ -1,22 +1,13 @@
 import { supabase } from '../lib/supabase.js';
+import { LeaseLostError } from '../lib/jobLock.js';
+import { runJob } from '../lib/jobRunner.js';
+import { fetchIn } from '../lib/fetchAll.js';
+import { toIsoOrNull } from '../utils/dates.js';
 
 const PAGE_SIZE = parseInt(process.env.FIX_ORDERS_PAGE_SIZE || '500', 10);
 const MAX_PAGES = parseInt(process.env.FIX_ORDERS_MAX_PAGES || '40', 10);
 const ORDERS_LOOKBACK_DAYS = parseInt(process.env.FIX_ORDERS_LOOKBACK_DAYS || '60', 10);
 
-function toIsoOrNull(value) {
-  if (!value) return null;
-  try {
-    if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
-      return new Date(`${value}T00:00:00Z`).toISOString();
-    }
-    const d = new Date(value);
-    return Number.isNaN(d.getTime()) ? null : d.toISOString();
-  } catch (_) {
-    return null;
-  }
-}
-
 async function findFromShipStation(orderId, orderNumber) {
   // Prefer order_id match; fallback to order_number
   const orClauses = [];
@@ -101,7 +92,7 @@ async function findFromLabelLedger(orderNumber) {
   return { tracking, shipDateIso };
 }
 
-async function ensureShipmentExists(orderNumber, tracking) {
+async function ensureShipmentExists(orderNumber, tracking, ctx) {
   if (!tracking) return;
   const { data: existing, error: lookupErr } = await supabase
     .from('shipments')
@@ -111,6 +102,7 @@ async function ensureShipmentExists(orderNumber, tracking) {
     .maybeSingle();
   if (lookupErr) {
     console.error('[FixOrders] shipment lookup error:', lookupErr);
+    ctx.recordError('shipment_lookup', lookupErr, { order_number: orderNumber });
     return;
   }
   if (existing) return;
@@ -124,6 +116,7 @@ async function ensureShipmentExists(orderNumber, tracking) {
     .maybeSingle();
   if (ordErr) {
     console.error('[FixOrders] order lookup error (ensureShipmentExists):', ordErr);
+    ctx.recordError('order_lookup', ordErr, { order_number: orderNumber });
   }
 
   const insert = {
@@ -133,33 +126,64 @@ async function ensureShipmentExists(orderNumber, tracking) {
     tracking_number: tracking,
     status: 'active'
   };
+  if (ctx.dryRun) {
+    ctx.plan('shipments', { action: 'insert', tracking_number: tracking, before: null, after: insert });
+    ctx.count('shipments_inserted');
+    return;
+  }
+  ctx.lease.assertHeld();
   const { error: insErr } = await supabase.from('shipments').insert([insert], { returning: 'minimal' });
-  if (insErr) console.error('[FixOrders] insert minimal shipment error:', insErr);
+  if (insErr) {
+    console.error('[FixOrders] insert minimal shipment error:', insErr);
+    ctx.recordError('shipment_insert', insErr, { order_number: orderNumber });
+    return;
+  }
+  ctx.count('shipments_inserted');
 }
 
-export async function runFixShippedOrdersMissingTracking() {
-  const sinceIso = new Date(Date.now() - ORDERS_LOOKBACK_DAYS * 24 * 3600 * 1000).toISOString();
+// Env defaults, overridable per run (CLI): orderNumber, lookbackDays, pageSize, maxPages
+function resolveSettings(options = {}) {
+  const lookbackDays = options.lookbackDays ?? ORDERS_LOOKBACK_DAYS;
+  return {
+    // A single-order reprocess ignores the lookback window
+    sinceIso: options.orderNumber ? null : new Date(Date.now() - lookbackDays * 24 * 3600 * 1000).toISOString(),
+    orderNumber: options.orderNumber || null,
+    pageSize: options.pageSize ?? PAGE_SIZE,
+    maxPages: options.maxPages ?? MAX_PAGES
+  };
+}
+
+async function fixShippedOrdersMissingTracking(ctx) {
+  const settings = resolveSettings(ctx.options);
   let page = 0;
   let fixed = 0;
-  console.log(`[FixOrders] Scanning shipped orders missing tracking/date since ${sinceIso}`);
+  if (settings.orderNumber) {
+    console.log(`[FixOrders] Checking order ${settings.orderNumber} for missing tracking/date`);
+  } else {
+    console.log(`[FixOrders] Scanning shipped orders missing tracking/date since ${settings.sinceIso}`);
+  }
 
-  while (page < MAX_PAGES) {
-    const from = page * PAGE_SIZE;
-    const to = from + PAGE_SIZE - 1;
-    const { data: orders, error } = await supabase
+  while (page < settings.maxPages) {
+    const from = page * settings.pageSize;
+    const to = from + settings.pageSize - 1;
+    let query = supabase
       .from('orders')
       .select('order_id, order_number, order_status, tracking_number, actual_ship_date, order_date')
       .ilike('order_status', 'shipped')
       .is('tracking_number', null)
-      .is('actual_ship_date', null)
-      .gte('order_date', sinceIso)
+      .is('actual_ship_date', null);
+    if (settings.sinceIso) query = query.gte('order_date', settings.sinceIso);
+    if (settings.orderNumber) query = query.eq('order_number', settings.orderNumber);
+    const { data: orders, error } = await query
       .order('order_date', { ascending: false })
       .range(from, to);
     if (error) {
       console.error('[FixOrders] orders fetch error:', error);
+      ctx.recordError('orders_fetch', error);
       break;
     }
     if (!orders || orders.length === 0) break;
+    ctx.count('orders_scanned', orders.length);
 
     // Pre-batch lookups per page
     const orderNumbers = Array.from(new Set(orders.map(o => o.order_number).filter(Boolean)));
@@ -167,17 +191,22 @@ export async function runFixShippedOrdersMissingTracking() {
     let seMap = new Map();
     let llMap = new Map();
 
+    // A failed lookup would let a lower-priority source (or nothing) decide the tracking, so it stops the scan
+    let lookupFailed = false;
     if (orderNumbers.length) {
       // ShipStation batch by order_number
-      const { data: ssRows, error: ssErr } = await supabase
-        .from('shipstation_events')
-        .select('order_id, order_number, tracking_number, ship_date, create_date, voided, is_return_label')
-        .in('order_number', orderNumbers)
-        .neq('voided', true)
-        .neq('is_return_label', true)
-        .not('tracking_number', 'is', null)
-        .order('create_date', { ascending: false });
-      if (ssErr) console.error('[FixOrders] ShipStation batch error:', ssErr);
+      const { data: ssRows, error: ssErr } = await fetchIn('shipstation_events',
+        'order_id, order_number, tracking_number, ship_date, create_date, voided, is_return_label',
+        'order_number', orderNumbers,
+        {
+          filter: (q) => q.neq('voided', true).neq('is_return_label', true).not('tracking_number', 'is', null),
+          order: [['create_date', { ascending: false }], ['shipstation_id']]
+        });
+      if (ssErr) {
+        console.error('[FixOrders] ShipStation batch error:', ssErr);
+        ctx.recordError('shipstation_fetch', ssErr);
+        lookupFailed = true;
+      }
       for (const r of ssRows || []) {
         const on = r.order_number;
         if (!on) continue;
@@ -190,15 +219,18 @@ export async function runFixShippedOrdersMissingTracking() {
       }
 
       // ShipEngine batch by order_number
-      const { data: seRows, error: seErr } = await supabase
-        .from('shipengine_events')
-        .select('order_number, tracking_number, ship_date, create_date, voided, is_return_label')
-        .in('order_number', orderNumbers)
-        .neq('voided', true)
-        .neq('is_return_label', true)
-        .not('tracking_number', 'is', null)
-        .order('create_date', { ascending: false });
-      if (seErr) console.error('[FixOrders] ShipEngine batch error:', seErr);
+      const { data: seRows, error: seErr } = await fetchIn('shipengine_events',
+        'order_number, tracking_number, ship_date, create_date, voided, is_return_label',
+        'order_number', orderNumbers,
+        {
+          filter: (q) => q.neq('voided', true).neq('is_return_label', true).not('tracking_number', 'is', null),
+          order: [['create_date', { ascending: false }], ['shipengine_id']]
+        });
+      if (seErr) {
+        console.error('[FixOrders] ShipEngine batch error:', seErr);
+        ctx.recordError('shipengine_fetch', seErr);
+        lookupFailed = true;
+      }
       for (const r of seRows || []) {
         const on = r.order_number;
         if (!on) continue;
@@ -211,13 +243,18 @@ export async function runFixShippedOrdersMissingTracking() {
       }
 
       // Label ledger batch by order_ref
-      const { data: llRows, error: llErr } = await supabase
-        .from('label_ledger')
-        .select('order_ref, tracking_number, created_at, raw_payload, raw_response')
-        .in('order_ref', orderNumbers)
-        .not('tracking_number', 'is', null)
-        .order('created_at', { ascending: false });
-      if (llErr) console.error('[FixOrders] Label ledger batch error:', llErr);
+      const { data: llRows, error: llErr } = await fetchIn('label_ledger',
+        'order_ref, tracking_number, created_at, raw_payload, raw_response',
+        'order_ref', orderNumbers,
+        {
+          filter: (q) => q.not('tracking_number', 'is', null),
+          order: [['created_at', { ascending: false }], ['id']]
+        });
+      if (llErr) {
+        console.error('[FixOrders] Label ledger batch error:', llErr);
+        ctx.recordError('label_ledger_fetch', llErr);
+        lookupFailed = true;
+      }
       for (const r of llRows || []) {
         const on = r.order_ref;
         if (!on) continue;
@@ -230,6 +267,8 @@ export async function runFixShippedOrdersMissingTracking() {
       }
     }
 
+    if (lookupFailed) break;
+
     for (const o of orders) {
       try {
         const ss = ssMap.get(o.order_number) || null;
@@ -244,28 +283,45 @@ export async function runFixShippedOrdersMissingTracking() {
         if (shipDateIso) update.actual_ship_date = shipDateIso;
         if (Object.keys(update).length === 0) continue;
 
-        const { error: updErr } = await supabase
-          .from('orders')
-          .update(update)
-          .eq('order_id', o.order_id);
-        if (updErr) {
-          console.error('[FixOrders] orders update error:', updErr);
-          continue;
+        if (ctx.dryRun) {
+          ctx.plan('orders', {
+            action: 'update',
+            order_id: o.order_id,
+            order_number: o.order_number,
+            before: { tracking_number: o.tracking_number, actual_ship_date: o.actual_ship_date },
+            after: update
+          });
+        } else {
+          ctx.lease.assertHeld();
+          const { error: updErr } = await supabase
+            .from('orders')
+            .update(update)
+            .eq('order_id', o.order_id);
+          if (updErr) {
+            console.error('[FixOrders] orders update error:', updErr);
+            ctx.recordError('order_update', updErr, { order_id: o.order_id });
+            continue;
+          }
         }
         fixed += 1;
+        ctx.count('orders_fixed');
 
         // Ensure shipments table reflects this tracking
-        await ensureShipmentExists(o.order_number, tracking);
+        await ensureShipmentExists(o.order_number, tracking, ctx);
       } catch (e) {
+        if (e instanceof LeaseLostError) throw e;
         console.error('[FixOrders] order processing error:', e);
+        ctx.recordError('order_processing', e, { order_id: o.order_id });
       }
     }
 
-    if (orders.length < PAGE_SIZE) break;
+    if (orders.length < settings.pageSize) break;
     page += 1;
   }
 
   console.log(`[FixOrders] Completed scan. Fixed: ${fixed}`);
 }
 
-
+export async function runFixShippedOrdersMissingTracking(options = {}) {
+  return runJob('fix-orders', (ctx) => fixShippedOrdersMissingTracking(ctx), options);
+}
@@ -0,0 +1,437 @@
+import { supabase } from '../lib/supabase.js';
+import { LeaseLostError } from '../lib/jobLock.js';
+import { fetchIn } from '../lib/fetchAll.js';
+import { normalizeSku } from '../utils/skuResolver.js';
+import { orderClientId } from '../utils/clientScope.js';
+import { noteSkuForReview } from './skuReviewQueue.js';
+
+// Runtime controls for shipment reconciliation
+const RECON_LOOKBACK_HOURS = parseInt(process.env.RECON_LOOKBACK_HOURS || '24', 10);
+const RECON_PAGE_SIZE = parseInt(process.env.RECON_PAGE_SIZE || '500', 10);
+const RECON_MAX_PAGES = parseInt(process.env.RECON_MAX_PAGES || '20', 10);
+// Location types stock is deducted from, in priority order
+const RECON_LOCATION_TYPES = (process.env.RECON_LOCATION_TYPES || 'Batch,Production')
+  .split(',').map((t) => t.trim()).filter(Boolean);
+// type: location type order, then most available first; location_priority: inventory_locations.priority first
+const RECON_ALLOCATION_ORDER = (process.env.RECON_ALLOCATION_ORDER || 'type').trim().toLowerCase();
+// Shipments created before the ledger went live were reconciled with the old notes marker; never touch them.
+// Required: without it every shipment in the window would be deducted a second time.
+const RECON_LEDGER_CUTOVER = process.env.RECON_LEDGER_CUTOVER || null;
+
+function parseCutover(raw) {
+  if (!raw) return null;
+  const d = new Date(raw);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+const LEDGER_TABLE = 'inventory_reconciliation_ledger';
+
+// Env defaults, overridable per run (CLI): lookbackHours, pageSize, maxPages,
+// and orderNumber / trackingNumber / shipmentId / shipmentIds to reconcile specific shipments only
+export function resolveReconSettings(options = {}) {
+  const targeted = Boolean(options.orderNumber || options.trackingNumber || options.shipmentId || options.shipmentIds?.length);
+  const lookbackHours = options.lookbackHours ?? RECON_LOOKBACK_HOURS;
+  return {
+    targeted,
+    // A targeted reprocess ignores the lookback window
+    sinceIso: targeted ? null : new Date(Date.now() - 1000 * 60 * 60 * lookbackHours).toISOString(),
+    cutoverIso: parseCutover(RECON_LEDGER_CUTOVER),
+    orderNumber: options.orderNumber || null,
+    trackingNumber: options.trackingNumber || null,
+    shipmentId: options.shipmentId || null,
+    shipmentIds: options.shipmentIds?.length ? options.shipmentIds.map(String) : null,
+    pageSize: options.pageSize ?? RECON_PAGE_SIZE,
+    maxPages: options.maxPages ?? RECON_MAX_PAGES
+  };
+}
+
+// Quantity per canonical SKU for one shipment; duplicate lines of the same SKU are summed
+export function extractShipmentLines(shipment) {
+  const raw = shipment.shipment_items;
+  const items = Array.isArray(raw) ? raw : (raw?.items || raw?.ShipmentItems || []);
+  const qtyBySku = new Map();
+  for (const itm of items) {
+    const skuRaw = itm?.sku || itm?.SKU || itm?.product?.sku || null;
+    const qty = Number(itm?.quantity ?? itm?.Quantity ?? itm?.qty ?? 1);
+    if (!skuRaw || !qty) continue;
+    const skuCanon = normalizeSku(skuRaw);
+    if (!skuCanon) continue;
+    qtyBySku.set(skuCanon, (qtyBySku.get(skuCanon) || 0) + qty);
+  }
+  return qtyBySku;
+}
+
+// Shipment lines with bundles replaced by their component SKUs, summed per canonical SKU
+function expandShipmentLines(shipment, catalog, clientId, ctx) {
+  const expanded = new Map();
+  for (const [skuCanon, qty] of extractShipmentLines(shipment).entries()) {
+    const leaves = catalog.resolver.explode(skuCanon, qty, clientId);
+    for (const leaf of leaves) {
+      if (leaf.missingComponents) {
+        console.warn('[Cron] bundle without components for shipment', shipment.id, leaf.sku);
+        ctx.count('bundles_without_components');
+      } else if (leaf.bundleSku) {
+        ctx.count('bundle_component_lines');
+      }
+      expanded.set(leaf.sku, (expanded.get(leaf.sku) || 0) + leaf.quantity);
+    }
+  }
+  return expanded;
+}
+
+// Client of each shipment in this page, from its order (by order_id, else order_number)
+async function loadShipmentClients(shipments, storeClients) {
+  const orderIds = [...new Set(shipments.map((s) => s.order_id).filter((v) => v != null).map(String))];
+  const orderNumbers = [...new Set(shipments.filter((s) => s.order_id == null && s.order_number).map((s) => s.order_number))];
+  const byId = new Map();
+  const byNumber = new Map();
+  if (orderIds.length) {
+    const { data, error } = await fetchIn('orders', 'order_id, order_number, client_id, store_id', 'order_id', orderIds,
+      { order: [['order_id']] });
+    if (error) throw Object.assign(new Error(`order client lookup failed: ${error.message}`), { code: error.code });
+    for (const o of data || []) byId.set(String(o.order_id), o);
+  }
+  if (orderNumbers.length) {
+    const { data, error } = await fetchIn('orders', 'order_id, order_number, client_id, store_id', 'order_number', orderNumbers,
+      { order: [['order_id']] });
+    if (error) throw Object.assign(new Error(`order client lookup failed: ${error.message}`), { code: error.code });
+    for (const o of data || []) byNumber.set(o.order_number, o);
+  }
+  const clients = new Map();
+  for (const s of shipments) {
+    const order = s.order_id != null ? byId.get(String(s.order_id)) : byNumber.get(s.order_number);
+    clients.set(s.id, orderClientId(order, storeClients));
+  }
+  return clients;
+}
+
+// Ledger rows for this page of shipments by shipment_id|sku
+async function loadLedgerLines(shipmentIds) {
+  const lines = new Map();
+  if (!shipmentIds.length) return lines;
+  const { data, error } = await fetchIn(LEDGER_TABLE,
+    'id, shipment_id, sku, quantity_deducted, shortfall_quantity, status, reversed_at', 'shipment_id', shipmentIds.map(String));
+  if (error) throw Object.assign(new Error(`ledger lookup failed: ${error.message}`), { code: error.code });
+  for (const r of data || []) lines.set(`${r.shipment_id}|${r.sku}`, r);
+  return lines;
+}
+
+// Partial and short lines stay open until their shortfall is covered
+function hasOpenShortfall(line) {
+  return !line.reversed_at && (line.shortfall_quantity || 0) > 0;
+}
+
+async function findStockRows(itemType, itemId) {
+  const { data, error } = await supabase
+    .from('inventory_stock_levels')
+    .select('id, location_id, on_hand, available, inventory_locations!inner(type, code, priority)')
+    .eq('item_type', itemType)
+    .eq('item_id', itemId)
+    .in('inventory_locations.type', RECON_LOCATION_TYPES);
+  return { rows: data || [], error };
+}
+
+// Quantity a row can give without taking on_hand below zero
+function usableQty(row) {
+  const onHand = row.on_hand || 0;
+  return Math.max(0, Math.min(row.available ?? onHand, onHand));
+}
+
+function orderStockRows(rows) {
+  const typeRank = (r) => {
+    const i = RECON_LOCATION_TYPES.indexOf(r.inventory_locations?.type);
+    return i === -1 ? RECON_LOCATION_TYPES.length : i;
+  };
+  const priority = (r) => r.inventory_locations?.priority ?? Number.MAX_SAFE_INTEGER;
+  return [...rows].sort((a, b) => {
+    if (RECON_ALLOCATION_ORDER === 'location_priority' && priority(a) !== priority(b)) return priority(a) - priority(b);
+    if (typeRank(a) !== typeRank(b)) return typeRank(a) - typeRank(b);
+    return usableQty(b) - usableQty(a);
+  });
+}
+
+// Greedy allocation over rows already in priority order (mirrors reconcile_shipment_line)
+function planAllocation(orderedRows, qty) {
+  let remaining = qty;
+  const allocations = [];
+  for (const row of orderedRows) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, usableQty(row));
+    if (take <= 0) continue;
+    allocations.push({
+      stock_level_id: row.id,
+      location_id: row.location_id,
+      location_code: row.inventory_locations?.code || null,
+      quantity: take,
+      on_hand_before: row.on_hand || 0,
+      on_hand_after: (row.on_hand || 0) - take
+    });
+    remaining -= take;
+  }
+  return { allocations, deducted: qty - remaining, shortfall: remaining };
+}
+
+function lineStatus(qty, shortfall) {
+  if (shortfall === 0) return 'reconciled';
+  return shortfall < qty ? 'partial' : 'short';
+}
+
+// Client inventory only resolves within the shipment's own client; catalog products are shared
+function resolveItem(skuCanon, catalog, clientId) {
+  const resolved = catalog.resolver.resolve(skuCanon, clientId);
+  const itemType = resolved.matchType === 'client_product' ? 'client_product'
+    : (resolved.matchType === 'product' ? 'product' : null);
+  let itemId = null;
+  if (itemType === 'client_product') itemId = String(resolved.client?.id || '');
+  if (itemType === 'product') itemId = String(resolved.product?.id || '');
+  return { itemType, itemId, resolved };
+}
+
+// Deduct stock and write the ledger row in one transaction (sql/004_reconcile_shipment_line.sql)
+async function applyLineDeduction(entry) {
+  const { data, error } = await supabase.rpc('reconcile_shipment_line', {
+    p_shipment_id: entry.shipment_id,
+    p_sku: entry.sku,
+    p_item_type: entry.item_type,
+    p_item_id: entry.item_id,
+    p_quantity: entry.quantity,
+    p_stock_level_ids: entry.stock_level_ids,
+    p_order_number: entry.order_number,
+    p_run_id: entry.run_id
+  });
+  return { result: data || null, error };
+}
+
+// openLine: the line's partial / short ledger row, whose shortfall is taken now instead of qty
+async function reconcileLine(ctx, shipment, skuCanon, qty, catalog, clientId, planned, review, openLine = null) {
+  const shipmentId = String(shipment.id);
+  const { itemType, itemId, resolved } = resolveItem(skuCanon, catalog, clientId);
+  if (resolved.rule === 'ambiguous_prefix') {
+    console.warn('[Cron] ambiguous SKU for shipment', shipment.id, skuCanon, 'candidates:', resolved.candidates.join(', '));
+    ctx.count('skus_skipped_ambiguous');
+    noteSkuForReview(review, catalog, {
+      clientId, sku: skuCanon, resolved, source: 'shipment', reference: shipmentId, orderNumber: shipment.order_number || null
+    });
+    return;
+  }
+  if (!itemType || !itemId) {
+    console.warn('[Cron] unresolved SKU for shipment', shipment.id, skuCanon, `(${resolved.rule})`);
+    ctx.count('skus_skipped_unresolved');
+    noteSkuForReview(review, catalog, {
+      clientId, sku: skuCanon, resolved, source: 'shipment', reference: shipmentId, orderNumber: shipment.order_number || null
+    });
+    return;
+  }
+
+  const { rows, error: stockFindErr } = await findStockRows(itemType, itemId);
+  if (stockFindErr) {
+    console.error('[Cron] stock lookup error:', stockFindErr);
+    ctx.recordError('stock_lookup', stockFindErr, { shipment_id: shipment.id, sku: skuCanon });
+    return;
+  }
+  for (const row of rows) {
+    if (!planned.onHand.has(row.id)) continue;
+    const deducted = (row.on_hand || 0) - planned.onHand.get(row.id);
+    row.on_hand = planned.onHand.get(row.id);
+    if (row.available != null) row.available -= deducted;
+  }
+  const ordered = orderStockRows(rows);
+
+  const entry = {
+    shipment_id: shipmentId,
+    sku: skuCanon,
+    item_type: itemType,
+    item_id: itemId,
+    quantity: qty,
+    stock_level_ids: ordered.map((r) => String(r.id)),
+    order_number: shipment.order_number || null,
+    run_id: ctx.runId
+  };
+
+  if (ctx.dryRun && openLine) {
+    const plan = planAllocation(ordered, openLine.shortfall_quantity);
+    const deducted = (openLine.quantity_deducted || 0) + plan.deducted;
+    ctx.plan(LEDGER_TABLE, {
+      action: 'retry_shortfall',
+      id: openLine.id,
+      shipment_id: shipmentId,
+      sku: skuCanon,
+      before: { quantity_deducted: openLine.quantity_deducted, shortfall_quantity: openLine.shortfall_quantity, status: openLine.status },
+      after: {
+        quantity_deducted: deducted,
+        shortfall_quantity: plan.shortfall,
+        status: plan.shortfall === 0 ? 'reconciled' : (deducted > 0 ? 'partial' : 'short'),
+        allocations: plan.allocations
+      }
+    });
+    planStockDecrements(ctx, shipment, skuCanon, plan.allocations, planned);
+    countShortfallRetry(ctx, plan.deducted, plan.shortfall);
+    return;
+  }
+
+  if (ctx.dryRun) {
+    const plan = planAllocation(ordered, qty);
+    const status = lineStatus(qty, plan.shortfall);
+    ctx.plan(LEDGER_TABLE, {
+      action: 'insert',
+      shipment_id: shipmentId,
+      sku: skuCanon,
+      before: null,
+      after: {
+        shipment_id: shipmentId,
+        sku: skuCanon,
+        item_type: itemType,
+        item_id: itemId,
+        quantity: qty,
+        match_rule: resolved.rule,
+        match_confidence: resolved.confidence,
+        quantity_deducted: plan.deducted,
+        shortfall_quantity: plan.shortfall,
+        status,
+        allocations: plan.allocations
+      }
+    });
+    planStockDecrements(ctx, shipment, skuCanon, plan.allocations, planned);
+    countLineOutcome(ctx, status, plan.allocations.length);
+    return;
+  }
+
+  ctx.lease.assertHeld();
+  const { result, error: rpcErr } = await applyLineDeduction(entry);
+  if (rpcErr) {
+    // Nothing was written: the transaction rolled back, so the line is retried next run
+    console.error('[Cron] stock deduction error:', rpcErr);
+    ctx.recordError('stock_deduction', rpcErr, { shipment_id: shipment.id, sku: skuCanon });
+    return;
+  }
+  if (result?.status === 'already_reconciled') {
+    ctx.count('skus_already_reconciled');
+    return;
+  }
+  if (result?.status === 'voided') {
+    // Voided after this run loaded it (sql/015_shipment_voids.sql)
+    ctx.count('skus_skipped_voided');
+    return;
+  }
+  if (!['reconciled', 'partial', 'short'].includes(result?.status)) {
+    console.error('[Cron] unexpected reconcile_shipment_line result:', result);
+    ctx.recordError('stock_deduction', { message: `unexpected result: ${JSON.stringify(result)}` }, { shipment_id: shipment.id, sku: skuCanon });
+    return;
+  }
+  if (result.retried) {
+    if (result.quantity_deducted > 0) {
+      console.log('[Cron] shortfall retried for', skuCanon, 'shipment', shipment.id,
+        `deducted ${result.quantity_deducted}, still short ${result.shortfall_quantity}`);
+    }
+    countShortfallRetry(ctx, result.quantity_deducted || 0, result.shortfall_quantity || 0);
+    return;
+  }
+  if (result.status !== 'reconciled') {
+    console.warn(`[Cron] stock shortfall at ${RECON_LOCATION_TYPES.join('/')} for`, skuCanon, 'shipment', shipment.id,
+      `deducted ${result.quantity_deducted}/${qty}, short ${result.shortfall_quantity}`);
+  }
+  countLineOutcome(ctx, result.status, (result.allocations || []).length);
+}
+
+function planStockDecrements(ctx, shipment, skuCanon, allocations, planned) {
+  for (const a of allocations) {
+    ctx.plan('inventory_stock_levels', {
+      action: 'decrement',
+      id: a.stock_level_id,
+      shipment_id: shipment.id,
+      sku: skuCanon,
+      location_id: a.location_id,
+      location_code: a.location_code,
+      quantity: a.quantity,
+      before: { on_hand: a.on_hand_before },
+      after: { on_hand: a.on_hand_after }
+    });
+    planned.onHand.set(a.stock_level_id, a.on_hand_after);
+  }
+}
+
+function countShortfallRetry(ctx, deducted, shortfall) {
+  ctx.count('skus_shortfall_retried');
+  if (deducted > 0) ctx.count('shortfall_units_deducted', deducted);
+  if (shortfall === 0) ctx.count('skus_shortfall_cleared');
+}
+
+function countLineOutcome(ctx, status, allocationCount) {
+  if (status === 'reconciled') ctx.count('skus_deducted');
+  if (status === 'partial') ctx.count('skus_partially_deducted');
+  if (status === 'short') ctx.count('skus_short_no_stock');
+  if (allocationCount > 1) ctx.count('skus_split_across_locations');
+}
+
+// Reconcile shipments → reduce inventory at RECON_LOCATION_TYPES, once per (shipment, SKU) via the ledger.
+// Lines skipped as unresolved or ambiguous are noted in review (see skuReviewQueue.js).
+export async function reconcileShipments(ctx, settings, catalog, review) {
+  if (!settings.cutoverIso) {
+    const err = new Error(`RECON_LEDGER_CUTOVER is ${RECON_LEDGER_CUTOVER ? `invalid (${RECON_LEDGER_CUTOVER})` : 'not set'}; refusing to reconcile shipments`);
+    console.error(`[Cron] ${err.message}`);
+    ctx.recordError('recon_cutover', err);
+    return;
+  }
+  try {
+    let page = 0;
+    let processed = 0;
+    // Dry run: track planned deductions so later lines see the simulated state
+    const planned = { onHand: new Map() };
+    while (page < settings.maxPages) {
+      const from = page * settings.pageSize;
+      const to = from + settings.pageSize - 1;
+      let query = supabase
+        .from('shipments')
+        .select('id, shipment_items, order_id, order_number, ship_date, created_at, voided')
+        .is('voided', false);
+      if (settings.sinceIso) query = query.gte('created_at', settings.sinceIso);
+      query = query.gte('created_at', settings.cutoverIso);
+      if (settings.orderNumber) query = query.eq('order_number', settings.orderNumber);
+      if (settings.trackingNumber) query = query.eq('tracking_number', settings.trackingNumber);
+      if (settings.shipmentId) query = query.eq('id', settings.shipmentId);
+      if (settings.shipmentIds) query = query.in('id', settings.shipmentIds);
+      const { data: shipments, error: shipErr } = await query
+        .order('created_at', { ascending: true })
+        .range(from, to);
+      if (shipErr) {
+        console.error('[Cron] shipments fetch error:', shipErr);
+        ctx.recordError('shipments_fetch', shipErr);
+        break;
+      }
+      if (!shipments || shipments.length === 0) break;
+
+      const ledger = await loadLedgerLines(shipments.map((s) => s.id));
+      const clients = await loadShipmentClients(shipments, catalog.storeClients);
+
+      for (const s of shipments) {
+        const clientId = clients.get(s.id);
+        if (clientId == null) {
+          // Only shared catalog products can be resolved without a client
+          console.warn('[Cron] shipment without client; client inventory not resolved:', s.id);
+          ctx.count('shipments_without_client');
+        }
+        for (const [skuCanon, qty] of expandShipmentLines(s, catalog, clientId, ctx).entries()) {
+          const line = ledger.get(`${s.id}|${skuCanon}`) || null;
+          if (line && !hasOpenShortfall(line)) continue;
+          try {
+            await reconcileLine(ctx, s, skuCanon, qty, catalog, clientId, planned, review, line);
+          } catch (lineErr) {
+            if (lineErr instanceof LeaseLostError) throw lineErr;
+            console.error('[Cron] reconciliation line error:', lineErr);
+            ctx.recordError('reconcile_line', lineErr, { shipment_id: s.id, sku: skuCanon });
+          }
+        }
+      }
+
+      processed += shipments.length;
+      ctx.count('shipments_processed', shipments.length);
+      page += 1;
+      if (shipments.length < settings.pageSize) break; // last page
+    }
+    console.log(`[Cron] Shipment reconciliation processed ${processed} shipments ${settings.targeted ? 'for target' : 'in lookback window'}`);
+  } catch (reconErr) {
+    if (reconErr instanceof LeaseLostError) throw reconErr;
+    console.error('[Cron] shipment reconciliation fatal error:', reconErr);
+    ctx.recordError('reconciliation', reconErr);
+  }
+}
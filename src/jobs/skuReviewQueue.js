@@ -0,0 +1,236 @@
+import { supabase } from '../lib/supabase.js';
+import { fetchAll, fetchIn } from '../lib/fetchAll.js';
+import { suggestSkus, clientSkuKey, clientSkuMapFor } from '../utils/skuResolver.js';
+
+// How many example order numbers / shipment ids to keep on each review entry
+const SKU_REVIEW_EXAMPLES = parseInt(process.env.SKU_REVIEW_EXAMPLES || '5', 10);
+
+const REVIEW_TABLE = 'sku_review_queue';
+const OCCURRENCES_TABLE = 'sku_review_occurrences';
+
+// In-run collector: clientSkuKey → { clientId, sku, reason, bestGuesses, orders, shipments }
+export function createSkuReview() {
+  return new Map();
+}
+
+// Record one unresolved / ambiguous SKU sighting on an order (source 'order') or shipment (source 'shipment')
+export function noteSkuForReview(review, catalog, { clientId, sku, resolved, source, reference, orderNumber = null }) {
+  const key = clientSkuKey(clientId, sku);
+  let entry = review.get(key);
+  if (!entry) {
+    entry = {
+      clientId: clientId ?? null,
+      sku,
+      reason: sku ? resolved.rule : 'blank_sku',
+      bestGuesses: bestGuesses(sku, resolved, catalog, clientId),
+      orders: new Map(),
+      shipments: new Map()
+    };
+    review.set(key, entry);
+  }
+  if (reference == null || reference === '') return;
+  (source === 'shipment' ? entry.shipments : entry.orders).set(String(reference), orderNumber);
+}
+
+function bestGuesses(sku, resolved, catalog, clientId) {
+  if (resolved.candidates?.length) return resolved.candidates;
+  if (resolved.rule === 'alias_unknown_target') return [resolved.baseSku];
+  return suggestSkus(sku, catalog.productMap, catalog.bundleMap, clientSkuMapFor(catalog.clientSkuMap, clientId));
+}
+
+function mergeExamples(existing, incoming) {
+  return [...new Set([...(existing || []), ...incoming])].slice(0, SKU_REVIEW_EXAMPLES);
+}
+
+async function loadReviewRows(skus) {
+  const { data, error } = await fetchIn(REVIEW_TABLE,
+    'id, client_id, sku, status, occurrence_count, example_order_numbers, example_shipment_ids', 'sku', skus);
+  if (error) return { error };
+  return { rows: new Map((data || []).map((r) => [clientSkuKey(r.client_id, r.sku), r])) };
+}
+
+// Rows for every sighting not recorded yet; returns how many were new
+async function insertOccurrences(reviewId, entry) {
+  const now = new Date().toISOString();
+  const rows = [
+    ...[...entry.orders.keys()].map((ref) => ({ review_id: reviewId, source: 'order', reference: ref, order_number: ref, seen_at: now })),
+    ...[...entry.shipments.entries()].map(([ref, orderNumber]) => ({
+      review_id: reviewId, source: 'shipment', reference: ref, order_number: orderNumber, seen_at: now
+    }))
+  ];
+  if (!rows.length) return { inserted: 0 };
+  const { data, error } = await supabase
+    .from(OCCURRENCES_TABLE)
+    .upsert(rows, { onConflict: 'review_id,source,reference', ignoreDuplicates: true })
+    .select('id');
+  if (error) return { error };
+  return { inserted: (data || []).length };
+}
+
+async function openEntry(ctx, entry) {
+  const now = new Date().toISOString();
+  const row = {
+    client_id: entry.clientId,
+    sku: entry.sku,
+    reason: entry.reason,
+    status: 'open',
+    occurrence_count: 0,
+    first_seen_at: now,
+    last_seen_at: now,
+    example_order_numbers: mergeExamples([], entry.orders.keys()),
+    example_shipment_ids: mergeExamples([], entry.shipments.keys()),
+    best_guesses: entry.bestGuesses,
+    run_id: ctx.runId,
+    created_at: now,
+    updated_at: now
+  };
+  if (ctx.dryRun) {
+    const after = { ...row, occurrence_count: entry.orders.size + entry.shipments.size };
+    ctx.plan(REVIEW_TABLE, { action: 'insert', id: null, sku: entry.sku, client_id: entry.clientId, before: null, after });
+    ctx.count('sku_review_opened');
+    return;
+  }
+  ctx.lease.assertHeld();
+  const { data, error } = await supabase.from(REVIEW_TABLE).insert([row]).select('id');
+  const id = data?.[0]?.id;
+  if (error || !id) {
+    console.error('[Cron] sku review insert error:', error);
+    ctx.recordError('sku_review_insert', error || { message: 'no id returned' }, { sku: entry.sku, client_id: entry.clientId });
+    return;
+  }
+  ctx.count('sku_review_opened');
+  await updateEntry(ctx, { ...row, id }, entry, { isNew: true });
+}
+
+async function updateEntry(ctx, existing, entry, { isNew = false } = {}) {
+  // Seen unresolved again after being mapped: the mapping did not take, so it goes back to the queue
+  const reopen = existing.status === 'mapped' || existing.status === 'reprocessed';
+  if (ctx.dryRun) {
+    ctx.plan(REVIEW_TABLE, {
+      action: reopen ? 'reopen' : 'update',
+      id: existing.id,
+      sku: entry.sku,
+      client_id: entry.clientId,
+      before: { status: existing.status, occurrence_count: existing.occurrence_count },
+      after: { status: reopen ? 'open' : existing.status, sightings: entry.orders.size + entry.shipments.size }
+    });
+    ctx.count(reopen ? 'sku_review_reopened' : 'sku_review_updated');
+    return;
+  }
+  ctx.lease.assertHeld();
+  const { inserted, error: occErr } = await insertOccurrences(existing.id, entry);
+  if (occErr) {
+    console.error('[Cron] sku review occurrences error:', occErr);
+    ctx.recordError('sku_review_occurrences', occErr, { review_id: existing.id, sku: entry.sku });
+    return;
+  }
+  const now = new Date().toISOString();
+  const update = {
+    reason: entry.reason,
+    occurrence_count: (existing.occurrence_count || 0) + inserted,
+    last_seen_at: now,
+    example_order_numbers: mergeExamples(existing.example_order_numbers, entry.orders.keys()),
+    example_shipment_ids: mergeExamples(existing.example_shipment_ids, entry.shipments.keys()),
+    best_guesses: entry.bestGuesses,
+    run_id: ctx.runId,
+    updated_at: now
+  };
+  if (reopen) Object.assign(update, { status: 'open', mapped_to: null, mapped_at: null, reprocessed_at: null });
+  const { error } = await supabase.from(REVIEW_TABLE).update(update).eq('id', existing.id);
+  if (error) {
+    console.error('[Cron] sku review update error:', error);
+    ctx.recordError('sku_review_update', error, { review_id: existing.id, sku: entry.sku });
+    return;
+  }
+  if (inserted) ctx.count('sku_review_occurrences', inserted);
+  if (reopen) ctx.count('sku_review_reopened');
+  else if (!isNew) ctx.count('sku_review_updated');
+}
+
+// Write this run's sightings to sku_review_queue: new entries open, known ones gain occurrences and last_seen_at
+export async function flushSkuReview(ctx, review) {
+  if (review.size === 0) return;
+  const { rows, error } = await loadReviewRows([...new Set([...review.values()].map((e) => e.sku))]);
+  if (error) {
+    console.error('[Cron] sku review fetch error:', error);
+    ctx.recordError('sku_review_fetch', error);
+    return;
+  }
+  for (const [key, entry] of review.entries()) {
+    const existing = rows.get(key);
+    if (existing) await updateEntry(ctx, existing, entry);
+    else await openEntry(ctx, entry);
+  }
+  console.log(`[Cron] ${review.size} unresolved or ambiguous SKUs recorded for review`);
+}
+
+async function setStatus(ctx, row, update, action) {
+  if (ctx.dryRun) {
+    ctx.plan(REVIEW_TABLE, {
+      action,
+      id: row.id,
+      sku: row.sku,
+      client_id: row.client_id,
+      before: { status: row.status },
+      after: update
+    });
+    return true;
+  }
+  ctx.lease.assertHeld();
+  const { error } = await supabase.from(REVIEW_TABLE).update({ ...update, run_id: ctx.runId, updated_at: new Date().toISOString() }).eq('id', row.id);
+  if (error) {
+    console.error(`[Cron] sku review ${action} error:`, error);
+    ctx.recordError(`sku_review_${action}`, error, { review_id: row.id, sku: row.sku });
+    return false;
+  }
+  return true;
+}
+
+// Open entries whose SKU now resolves (alias or catalog row added) become mapped, and the shipments they were
+// seen on are handed to reprocess(shipmentIds); mapped entries from a run that failed to reprocess are retried
+export async function reprocessMappedSkus(ctx, catalog, reprocess) {
+  const { data: rows, error } = await fetchAll(REVIEW_TABLE, 'id, client_id, sku, status, mapped_to',
+    { filter: (q) => q.in('status', ['open', 'mapped']) });
+  if (error) {
+    console.error('[Cron] sku review fetch error:', error);
+    ctx.recordError('sku_review_fetch', error);
+    return;
+  }
+
+  const mapped = [];
+  for (const row of rows || []) {
+    if (row.status === 'mapped') {
+      mapped.push(row);
+      continue;
+    }
+    const resolved = catalog.resolver.resolve(row.sku, row.client_id);
+    if (!resolved.matchType) continue;
+    const now = new Date().toISOString();
+    if (await setStatus(ctx, row, { status: 'mapped', mapped_to: resolved.baseSku, mapped_at: now }, 'mapped')) {
+      ctx.count('sku_review_mapped');
+      mapped.push(row);
+    }
+  }
+  if (!mapped.length) return;
+
+  const { data: occ, error: occErr } = await fetchIn(OCCURRENCES_TABLE, 'id, reference', 'review_id', mapped.map((r) => r.id),
+    { filter: (q) => q.eq('source', 'shipment') });
+  if (occErr) {
+    console.error('[Cron] sku review occurrences fetch error:', occErr);
+    ctx.recordError('sku_review_occurrences_fetch', occErr);
+    return;
+  }
+
+  const shipmentIds = [...new Set((occ || []).map((o) => o.reference))];
+  const errorsBefore = ctx.errorCount;
+  if (shipmentIds.length) {
+    console.log(`[Cron] Reprocessing ${shipmentIds.length} shipments for ${mapped.length} newly mapped SKUs`);
+    await reprocess(shipmentIds);
+    ctx.count('sku_review_shipments_reprocessed', shipmentIds.length);
+  }
+  // Leave entries mapped when reconciliation hit errors so the next run retries them
+  if (ctx.errorCount > errorsBefore) return;
+  for (const row of mapped) {
+    await setStatus(ctx, row, { status: 'reprocessed', reprocessed_at: new Date().toISOString() }, 'reprocessed');
+  }
+}
@@ -0,0 +1,249 @@
+import { supabase } from '../lib/supabase.js';
+import { fetchAll } from '../lib/fetchAll.js';
+import { clientSkuKey } from '../utils/skuResolver.js';
+
+const ALERTS_TABLE = 'inventory_alerts';
+const EVENTS_TABLE = 'inventory_alert_events';
+const OUTBOX_TABLE = 'alert_notifications';
+
+// State changes that notify (see src/jobs/deliverAlertNotifications.js)
+const NOTIFY_EVENTS = ['opened', 'escalated', 'resolved'];
+
+// Alert types owned by this job; a higher rank wins when a SKU qualifies for several
+const ALERT_TYPE_RANK = { low_cover: 1, restock: 2, purchase: 3 };
+
+const DRY_RUN_ACTIONS = { escalated: 'escalate', deescalated: 'deescalate', severity_changed: 'regrade' };
+
+async function loadActiveAlerts() {
+  return fetchAll(ALERTS_TABLE, 'id, client_id, item_type, alert_type, message, severity, shortfall_quantity, is_active, updated_at', {
+    filter: (q) => q
+      .eq('item_type', 'client_product')
+      .eq('is_active', true)
+      .in('alert_type', Object.keys(ALERT_TYPE_RANK)),
+    order: [['id', { ascending: true }]]
+  });
+}
+
+// Outbox row for the alert-notify job, or null for state changes that do not notify
+function notificationFor(ctx, event) {
+  if (!NOTIFY_EVENTS.includes(event.event_type)) return null;
+  return {
+    alert_id: event.alert_id,
+    client_id: event.client_id,
+    sku: event.sku,
+    event_type: event.event_type,
+    alert_type: event.to_alert_type || event.from_alert_type,
+    severity: event.to_severity || event.from_severity,
+    previous_alert_type: event.event_type === 'escalated' ? event.from_alert_type : null,
+    reason: event.reason,
+    status: 'pending',
+    run_id: ctx.runId
+  };
+}
+
+// Append one state change to inventory_alert_events; history is best effort and never blocks the alert write.
+// Opens, escalations and resolutions also go to the notification outbox, written with the event in one
+// transaction (record_alert_event, sql/010_alert_notifications.sql) and keyed on the event row, so an event never
+// exists without its notification and a retried write never notifies twice.
+async function recordEvent(ctx, event) {
+  const row = { ...event, run_id: ctx.runId, created_at: new Date().toISOString() };
+  const notification = notificationFor(ctx, event);
+  if (ctx.dryRun) {
+    ctx.plan(EVENTS_TABLE, { action: 'insert', alert_id: event.alert_id, before: null, after: row });
+    if (notification) ctx.plan(OUTBOX_TABLE, { action: 'insert', alert_id: event.alert_id, before: null, after: notification });
+    return;
+  }
+  ctx.lease.assertHeld();
+  const { data, error } = await supabase.rpc('record_alert_event', {
+    p_event: row,
+    p_notification: notification,
+    p_run_id: ctx.runId
+  });
+  if (error) {
+    console.error('[Cron] record_alert_event error:', error);
+    ctx.recordError('alert_event', error, { alert_id: event.alert_id, event_type: event.event_type });
+    return;
+  }
+  if (data?.notification_id != null) ctx.count('notifications_queued');
+}
+
+async function openAlert(ctx, want) {
+  const now = new Date().toISOString();
+  const payload = {
+    item_type: 'client_product',
+    item_id: null,
+    alert_type: want.alertType,
+    message: want.sku,
+    severity: want.severity,
+    shortfall_quantity: want.shortfall ?? null,
+    is_active: true,
+    client_id: want.clientId,
+    updated_at: now
+  };
+  let alertId = null;
+  if (ctx.dryRun) {
+    ctx.plan(ALERTS_TABLE, {
+      action: 'open',
+      id: null,
+      sku: want.sku,
+      client_id: want.clientId,
+      alert_type: want.alertType,
+      before: null,
+      after: { is_active: true, severity: want.severity, shortfall_quantity: payload.shortfall_quantity }
+    });
+  } else {
+    ctx.lease.assertHeld();
+    const { data, error } = await supabase.from(ALERTS_TABLE).insert([payload]).select('id');
+    if (error) {
+      console.error('[Cron] inventory_alerts insert error:', error);
+      ctx.recordError('alert_open', error, { sku: want.sku, client_id: want.clientId });
+      return;
+    }
+    alertId = data?.[0]?.id ?? null;
+  }
+  ctx.count('alerts_opened');
+  await recordEvent(ctx, {
+    alert_id: alertId,
+    client_id: want.clientId,
+    sku: want.sku,
+    event_type: 'opened',
+    from_alert_type: null,
+    to_alert_type: want.alertType,
+    from_severity: null,
+    to_severity: want.severity,
+    reason: want.reason
+  });
+}
+
+// Bring an active alert in line with the current evaluation: refresh, escalate, de-escalate or re-grade in place
+async function updateAlert(ctx, alert, want) {
+  const typeChanged = alert.alert_type !== want.alertType;
+  const severityChanged = alert.severity !== want.severity;
+  let eventType = null;
+  if (typeChanged) eventType = ALERT_TYPE_RANK[want.alertType] > ALERT_TYPE_RANK[alert.alert_type] ? 'escalated' : 'deescalated';
+  else if (severityChanged) eventType = 'severity_changed';
+
+  const now = new Date().toISOString();
+  // Purchase alerts carry the current shortfall for draft purchase orders
+  const update = { alert_type: want.alertType, severity: want.severity, shortfall_quantity: want.shortfall ?? null, updated_at: now };
+  if (eventType === 'escalated') update.escalated_at = now;
+
+  if (ctx.dryRun) {
+    ctx.plan(ALERTS_TABLE, {
+      action: DRY_RUN_ACTIONS[eventType] || 'refresh',
+      id: alert.id,
+      sku: want.sku,
+      client_id: want.clientId,
+      alert_type: want.alertType,
+      before: { alert_type: alert.alert_type, severity: alert.severity, shortfall_quantity: alert.shortfall_quantity ?? null },
+      after: { alert_type: want.alertType, severity: want.severity, shortfall_quantity: update.shortfall_quantity }
+    });
+  } else {
+    ctx.lease.assertHeld();
+    const { error } = await supabase.from(ALERTS_TABLE).update(update).eq('id', alert.id);
+    if (error) {
+      console.error('[Cron] inventory_alerts update error:', error);
+      ctx.recordError('alert_update', error, { alert_id: alert.id, sku: want.sku });
+      return;
+    }
+  }
+  if (!eventType) {
+    ctx.count('alerts_refreshed');
+    return;
+  }
+  ctx.count(eventType === 'severity_changed' ? 'alerts_regraded' : `alerts_${eventType}`);
+  await recordEvent(ctx, {
+    alert_id: alert.id,
+    client_id: alert.client_id,
+    sku: alert.message,
+    event_type: eventType,
+    from_alert_type: alert.alert_type,
+    to_alert_type: want.alertType,
+    from_severity: alert.severity,
+    to_severity: want.severity,
+    reason: want.reason
+  });
+}
+
+async function resolveAlert(ctx, alert, reason) {
+  const now = new Date().toISOString();
+  if (ctx.dryRun) {
+    ctx.plan(ALERTS_TABLE, {
+      action: 'resolve',
+      id: alert.id,
+      sku: alert.message,
+      client_id: alert.client_id,
+      alert_type: alert.alert_type,
+      reason,
+      before: { is_active: true, severity: alert.severity },
+      after: { is_active: false, resolved_at: now, resolution_reason: reason }
+    });
+  } else {
+    ctx.lease.assertHeld();
+    const { data, error } = await supabase
+      .from(ALERTS_TABLE)
+      .update({ is_active: false, resolved_at: now, resolution_reason: reason, updated_at: now })
+      .eq('id', alert.id)
+      .eq('is_active', true)
+      .select('id');
+    if (error) {
+      console.error('[Cron] inventory_alerts resolve error:', error);
+      ctx.recordError('alert_resolve', error, { alert_id: alert.id, sku: alert.message });
+      return;
+    }
+    // Already closed elsewhere since we loaded it
+    if (!data || data.length === 0) return;
+  }
+  ctx.count('alerts_resolved');
+  await recordEvent(ctx, {
+    alert_id: alert.id,
+    client_id: alert.client_id,
+    sku: alert.message,
+    event_type: 'resolved',
+    from_alert_type: alert.alert_type,
+    to_alert_type: null,
+    from_severity: alert.severity,
+    to_severity: null,
+    reason
+  });
+}
+
+// Compare every active alert with the current evaluation and open, update or resolve so that each
+// (client, SKU) has at most one active alert. evaluation: Map of clientSkuKey → { clientId, sku, alertType, severity, shortfall, reason };
+// alertType null means the SKU was evaluated and needs no alert. SKUs missing from it have no queued demand
+// and no reorder settings.
+export async function syncInventoryAlerts(ctx, evaluation) {
+  const { data: active, error } = await loadActiveAlerts();
+  if (error) {
+    console.error('[Cron] inventory_alerts active fetch error:', error);
+    ctx.recordError('alerts_fetch', error);
+    return;
+  }
+
+  const activeByKey = new Map();
+  for (const a of active || []) {
+    const key = clientSkuKey(a.client_id, a.message);
+    if (!activeByKey.has(key)) activeByKey.set(key, []);
+    activeByKey.get(key).push(a);
+  }
+
+  for (const [key, alerts] of activeByKey.entries()) {
+    const want = evaluation.get(key);
+    const wantType = want?.alertType || null;
+    // Keep the alert already of the wanted type, else the highest ranked one; close the rest
+    const ordered = [...alerts].sort((a, b) => {
+      if ((a.alert_type === wantType) !== (b.alert_type === wantType)) return a.alert_type === wantType ? -1 : 1;
+      return ALERT_TYPE_RANK[b.alert_type] - ALERT_TYPE_RANK[a.alert_type];
+    });
+    const [keep, ...duplicates] = ordered;
+    for (const dup of duplicates) await resolveAlert(ctx, dup, 'superseded');
+
+    if (!want) await resolveAlert(ctx, keep, keep.alert_type === 'low_cover' ? 'no_reorder_settings' : 'no_queued_demand');
+    else if (!wantType) await resolveAlert(ctx, keep, want.reason);
+    else await updateAlert(ctx, keep, want);
+  }
+
+  for (const [key, want] of evaluation.entries()) {
+    if (want.alertType && !activeByKey.has(key)) await openAlert(ctx, want);
+  }
+}
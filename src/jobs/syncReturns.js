@@ -0,0 +1,348 @@
+import { supabase } from '../lib/supabase.js';
+import { LeaseLostError } from '../lib/jobLock.js';
+import { runJob } from '../lib/jobRunner.js';
+import { fetchAll, fetchIn } from '../lib/fetchAll.js';
+import { loadCatalog } from '../lib/catalog.js';
+import { orderClientId } from '../utils/clientScope.js';
+import { toIsoOrNull } from '../utils/dates.js';
+import { extractShipmentLines } from './reconcileShipments.js';
+
+// Return-label events created within this many days are turned into returns
+const RETURNS_LOOKBACK_DAYS = parseInt(process.env.RETURNS_LOOKBACK_DAYS || '30', 10);
+// inventory_locations.code received returns go back into, unless the return sets restock_location_id
+const RETURNS_RESTOCK_LOCATION = process.env.RETURNS_RESTOCK_LOCATION || 'RETURNS';
+
+const RETURNS_TABLE = 'returns';
+const RETURN_SOURCES = {
+  shipstation: { label: 'ShipStation', table: 'shipstation_events', idColumn: 'shipstation_id' },
+  shipengine: { label: 'ShipEngine', table: 'shipengine_events', idColumn: 'shipengine_id' }
+};
+
+// Env defaults, overridable per run (CLI): orderNumber, trackingNumber, lookbackDays
+function resolveSettings(options = {}) {
+  const targeted = Boolean(options.orderNumber || options.trackingNumber);
+  const lookbackDays = options.lookbackDays ?? RETURNS_LOOKBACK_DAYS;
+  return {
+    targeted,
+    sinceIso: targeted ? null : new Date(Date.now() - lookbackDays * 24 * 3600 * 1000).toISOString(),
+    orderNumber: options.orderNumber || null,
+    trackingNumber: options.trackingNumber || null
+  };
+}
+
+function itemsFrom(holder) {
+  return [...extractShipmentLines(holder).entries()].map(([sku, quantity]) => ({ sku, quantity }));
+}
+
+// Latest event per return tracking number; events come oldest first
+async function loadReturnEvents(source, settings) {
+  const { table, idColumn } = RETURN_SOURCES[source];
+  const { data, error } = await fetchAll(table, '*', {
+    filter: (q) => {
+      let query = q.eq('is_return_label', true).not('tracking_number', 'is', null);
+      if (settings.sinceIso) query = query.gte('create_date', settings.sinceIso);
+      if (settings.orderNumber) query = query.eq('order_number', settings.orderNumber);
+      if (settings.trackingNumber) query = query.eq('tracking_number', settings.trackingNumber);
+      return query;
+    },
+    order: [['create_date', { ascending: true }], [idColumn]]
+  });
+  if (error) return { error };
+  const byTracking = new Map();
+  for (const evt of data) {
+    const tracking = (evt.tracking_number || '').trim();
+    if (tracking) byTracking.set(tracking, { ...evt, tracking_number: tracking });
+  }
+  return { events: [...byTracking.values()] };
+}
+
+// Orders and their outbound (live, non-return) shipments for the events' order numbers
+async function loadOrderContext(events) {
+  const orderNumbers = [...new Set(events.map((e) => e.order_number).filter(Boolean))];
+  const returnTrackings = new Set(events.map((e) => e.tracking_number));
+  const orders = new Map();
+  const shipments = new Map();
+  if (!orderNumbers.length) return { orders, shipments };
+
+  const { data: orderRows, error } = await fetchIn('orders', 'order_id, order_number, client_id, store_id', 'order_number', orderNumbers,
+    { order: [['order_id']] });
+  if (error) return { error };
+  for (const o of orderRows) if (!orders.has(o.order_number)) orders.set(o.order_number, o);
+
+  const { data: shipRows, error: shipErr } = await fetchIn('shipments',
+    'id, order_id, order_number, tracking_number, ship_date, voided, shipment_items', 'order_number', orderNumbers,
+    { order: [['ship_date', { ascending: false, nullsFirst: false }], ['id']] });
+  if (shipErr) return { error: shipErr };
+  for (const s of shipRows) {
+    if (s.voided || returnTrackings.has(s.tracking_number) || shipments.has(s.order_number)) continue;
+    shipments.set(s.order_number, s);
+  }
+  return { orders, shipments };
+}
+
+async function insertReturn(ctx, row) {
+  if (ctx.dryRun) {
+    ctx.plan(RETURNS_TABLE, { action: 'insert', id: null, tracking_number: row.tracking_number, before: null, after: row });
+  } else {
+    ctx.lease.assertHeld();
+    const { error } = await supabase.from(RETURNS_TABLE).insert([row]);
+    if (error) {
+      console.error('[Returns] return insert error:', error);
+      ctx.recordError('return_insert', error, { tracking_number: row.tracking_number });
+      return;
+    }
+  }
+  ctx.count('returns_created');
+}
+
+async function cancelReturn(ctx, existing) {
+  const now = new Date().toISOString();
+  if (ctx.dryRun) {
+    ctx.plan(RETURNS_TABLE, {
+      action: 'cancel',
+      id: existing.id,
+      tracking_number: existing.tracking_number,
+      before: { status: existing.status },
+      after: { status: 'cancelled' }
+    });
+  } else {
+    ctx.lease.assertHeld();
+    const { error } = await supabase
+      .from(RETURNS_TABLE)
+      .update({ status: 'cancelled', cancelled_at: now, run_id: ctx.runId, updated_at: now })
+      .eq('id', existing.id)
+      .eq('status', 'label_created');
+    if (error) {
+      console.error('[Returns] return cancel error:', error);
+      ctx.recordError('return_cancel', error, { return_id: existing.id });
+      return;
+    }
+  }
+  ctx.count('returns_cancelled');
+}
+
+// Return-label events → returns rows linked to the order and its outbound shipment; a voided label cancels a
+// return nobody has received yet
+async function syncReturnLabels(ctx, settings, source, catalog) {
+  const { label } = RETURN_SOURCES[source];
+  const { events, error } = await loadReturnEvents(source, settings);
+  if (error) {
+    console.error(`[Returns] ${label} return events fetch error:`, error);
+    ctx.recordError(`${source}_returns_fetch`, error);
+    return;
+  }
+  if (!events.length) return;
+  ctx.count('return_events_scanned', events.length);
+
+  const { data: existingRows, error: existErr } = await fetchIn(RETURNS_TABLE, 'id, tracking_number, status', 'tracking_number',
+    events.map((e) => e.tracking_number));
+  if (existErr) {
+    console.error('[Returns] existing returns fetch error:', existErr);
+    ctx.recordError('returns_fetch', existErr);
+    return;
+  }
+  const existing = new Map(existingRows.map((r) => [r.tracking_number, r]));
+  const { orders, shipments, error: ctxErr } = await loadOrderContext(events);
+  if (ctxErr) {
+    console.error('[Returns] order lookup error:', ctxErr);
+    ctx.recordError('return_orders_fetch', ctxErr);
+    return;
+  }
+
+  for (const evt of events) {
+    const known = existing.get(evt.tracking_number);
+    if (known) {
+      if (evt.voided && known.status === 'label_created') await cancelReturn(ctx, known);
+      continue;
+    }
+    if (evt.voided) {
+      ctx.count('return_labels_voided');
+      continue;
+    }
+    const order = orders.get(evt.order_number) || null;
+    const outbound = shipments.get(evt.order_number) || null;
+    if (!order) ctx.count('returns_without_order');
+    const eventItems = itemsFrom({ shipment_items: evt.shipment_items ?? evt.items ?? null });
+    const now = new Date().toISOString();
+    await insertReturn(ctx, {
+      source,
+      source_event_id: evt[RETURN_SOURCES[source].idColumn] != null ? String(evt[RETURN_SOURCES[source].idColumn]) : null,
+      tracking_number: evt.tracking_number,
+      carrier_code: evt.carrier_code || null,
+      order_id: order?.order_id != null ? String(order.order_id) : (evt.order_id != null ? String(evt.order_id) : null),
+      order_number: evt.order_number || null,
+      shipment_id: outbound ? String(outbound.id) : null,
+      client_id: orderClientId(order, catalog.storeClients),
+      // Without items on the label, assume everything shipped is coming back; adjust before marking received
+      items: eventItems.length ? eventItems : (outbound ? itemsFrom(outbound) : []),
+      status: 'label_created',
+      label_created_at: toIsoOrNull(evt.create_date),
+      run_id: ctx.runId,
+      created_at: now,
+      updated_at: now
+    });
+  }
+}
+
+async function findRestockLocation() {
+  const { data, error } = await supabase
+    .from('inventory_locations')
+    .select('id, code')
+    .eq('code', RETURNS_RESTOCK_LOCATION)
+    .limit(1)
+    .maybeSingle();
+  return { location: data || null, error };
+}
+
+async function setRestockNote(ctx, ret, note) {
+  ctx.count('returns_not_restocked');
+  console.warn(`[Returns] return ${ret.id} not restocked: ${note}`);
+  if (ret.restock_note === note) return;
+  if (ctx.dryRun) {
+    ctx.plan(RETURNS_TABLE, { action: 'note', id: ret.id, before: { restock_note: ret.restock_note }, after: { restock_note: note } });
+    return;
+  }
+  ctx.lease.assertHeld();
+  const { error } = await supabase.from(RETURNS_TABLE).update({ restock_note: note, updated_at: new Date().toISOString() }).eq('id', ret.id);
+  if (error) {
+    console.error('[Returns] return note error:', error);
+    ctx.recordError('return_note', error, { return_id: ret.id });
+  }
+}
+
+// Returned SKUs (bundles exploded) → one line per stock item; null with the reason when a SKU does not resolve
+function restockLines(ret, catalog) {
+  const lines = new Map();
+  for (const item of Array.isArray(ret.items) ? ret.items : []) {
+    const quantity = Number(item?.quantity ?? 0);
+    if (!item?.sku || !quantity) continue;
+    for (const leaf of catalog.resolver.explode(item.sku, quantity, ret.client_id)) {
+      const { resolved } = leaf;
+      const itemType = resolved.matchType === 'client_product' ? 'client_product' : (resolved.matchType === 'product' ? 'product' : null);
+      if (!itemType || leaf.missingComponents) return { reason: `${resolved.rule} SKU ${leaf.sku}` };
+      const itemId = String(itemType === 'client_product' ? resolved.client.id : resolved.product.id);
+      const key = `${itemType}|${itemId}`;
+      const prev = lines.get(key) || { sku: resolved.baseSku, item_type: itemType, item_id: itemId, quantity: 0 };
+      prev.quantity += leaf.quantity;
+      lines.set(key, prev);
+    }
+  }
+  return { lines: [...lines.values()] };
+}
+
+// Stock row per line at the location, created empty when the item has never been stocked there
+async function attachStockRows(ctx, lines, locationId) {
+  const { data: rows, error } = await fetchIn('inventory_stock_levels', 'id, item_type, item_id, location_id', 'item_id',
+    lines.map((l) => l.item_id), { filter: (q) => q.eq('location_id', locationId) });
+  if (error) throw Object.assign(new Error(`stock lookup failed: ${error.message}`), { code: error.code });
+  const byItem = new Map(rows.map((r) => [`${r.item_type}|${r.item_id}`, r]));
+  for (const line of lines) {
+    const row = byItem.get(`${line.item_type}|${line.item_id}`);
+    if (row) {
+      line.stock_level_id = String(row.id);
+      continue;
+    }
+    const insert = { item_type: line.item_type, item_id: line.item_id, location_id: locationId, on_hand: 0 };
+    if (ctx.dryRun) {
+      ctx.plan('inventory_stock_levels', { action: 'insert', id: null, sku: line.sku, before: null, after: insert });
+      line.stock_level_id = null;
+      continue;
+    }
+    ctx.lease.assertHeld();
+    const { data, error: insErr } = await supabase.from('inventory_stock_levels').insert([insert]).select('id');
+    if (insErr || !data?.[0]) throw Object.assign(new Error(`stock row insert failed: ${insErr?.message || 'no id returned'}`), { code: insErr?.code });
+    line.stock_level_id = String(data[0].id);
+  }
+}
+
+async function restockReturn(ctx, ret, locationId, catalog) {
+  const { lines, reason } = restockLines(ret, catalog);
+  if (reason) return setRestockNote(ctx, ret, reason);
+  if (!lines.length) return setRestockNote(ctx, ret, 'no items to restock');
+  await attachStockRows(ctx, lines, locationId);
+
+  if (ctx.dryRun) {
+    for (const line of lines) {
+      ctx.plan('inventory_stock_levels', { action: 'increment', id: line.stock_level_id, sku: line.sku, location_id: locationId, quantity: line.quantity });
+      ctx.plan('inventory_movements', {
+        action: 'insert',
+        id: null,
+        before: null,
+        after: { reference_type: 'return', reference_id: String(ret.id), reason: 'return_restock', ...line, location_id: String(locationId) }
+      });
+    }
+    ctx.plan(RETURNS_TABLE, { action: 'restock', id: ret.id, before: { status: 'received' }, after: { status: 'restocked', restock_location_id: locationId } });
+    ctx.count('returns_restocked');
+    ctx.count('return_units_restocked', lines.reduce((n, l) => n + l.quantity, 0));
+    return;
+  }
+
+  ctx.lease.assertHeld();
+  // Stock, movements and the return's status change in one transaction (sql/016_returns.sql)
+  const { data, error } = await supabase.rpc('restock_return', {
+    p_return_id: ret.id,
+    p_location_id: locationId,
+    p_lines: lines,
+    p_run_id: ctx.runId
+  });
+  if (error) throw Object.assign(new Error(`restock_return failed: ${error.message}`), { code: error.code });
+  if (data?.status !== 'restocked') {
+    ctx.count('returns_restock_skipped');
+    return;
+  }
+  ctx.count('returns_restocked');
+  ctx.count('return_units_restocked', data.units || 0);
+}
+
+// Received returns → stock at their restock location (RETURNS_RESTOCK_LOCATION by default)
+async function restockReceived(ctx, settings, catalog) {
+  const { data: received, error } = await fetchAll(RETURNS_TABLE, 'id, order_number, tracking_number, client_id, items, restock_location_id, restock_note', {
+    filter: (q) => {
+      let query = q.eq('status', 'received');
+      if (settings.orderNumber) query = query.eq('order_number', settings.orderNumber);
+      if (settings.trackingNumber) query = query.eq('tracking_number', settings.trackingNumber);
+      return query;
+    }
+  });
+  if (error) {
+    console.error('[Returns] received returns fetch error:', error);
+    ctx.recordError('received_returns_fetch', error);
+    return;
+  }
+  if (!received.length) return;
+
+  const { location, error: locErr } = await findRestockLocation();
+  if (locErr) {
+    console.error('[Returns] restock location lookup error:', locErr);
+    ctx.recordError('restock_location_fetch', locErr);
+    return;
+  }
+  for (const ret of received) {
+    const locationId = ret.restock_location_id ?? location?.id ?? null;
+    try {
+      if (locationId == null) {
+        await setRestockNote(ctx, ret, `restock location ${RETURNS_RESTOCK_LOCATION} not found`);
+        continue;
+      }
+      await restockReturn(ctx, ret, locationId, catalog);
+    } catch (e) {
+      if (e instanceof LeaseLostError) throw e;
+      console.error('[Returns] restock error:', e);
+      ctx.recordError('return_restock', e, { return_id: ret.id });
+    }
+  }
+}
+
+async function syncReturns(ctx) {
+  const settings = resolveSettings(ctx.options);
+  console.log(`[Returns] Syncing return labels ${settings.targeted ? 'for target' : `since ${settings.sinceIso}`}`);
+  const catalog = await loadCatalog(ctx);
+  if (!catalog) return;
+  for (const source of Object.keys(RETURN_SOURCES)) await syncReturnLabels(ctx, settings, source, catalog);
+  await restockReceived(ctx, settings, catalog);
+  console.log('[Returns] Completed returns run');
+}
+
+export async function runSyncReturns(options = {}) {
+  return runJob('returns', (ctx) => syncReturns(ctx), options);
+}
@@ -0,0 +1,169 @@
+import { supabase } from '../lib/supabase.js';
+import { fetchAll } from '../lib/fetchAll.js';
+import { clientSkuKey } from '../utils/skuResolver.js';
+
+// Pull queued demand plus this buffer into pickable locations: ceil(demand * (1 + PERCENT/100)) + UNITS
+const RESTOCK_BUFFER_PERCENT = parseInt(process.env.RESTOCK_BUFFER_PERCENT || '10', 10);
+const RESTOCK_BUFFER_UNITS = parseInt(process.env.RESTOCK_BUFFER_UNITS || '0', 10);
+
+const TASKS_TABLE = 'inventory_transfer_tasks';
+
+// Drafts are owned by this job; in_progress tasks belong to the warehouse and only count as incoming stock
+async function loadOpenTasks() {
+  return fetchAll(TASKS_TABLE, 'id, client_id, sku, item_id, source_location_id, destination_location_id, quantity, status',
+    { filter: (q) => q.in('status', ['draft', 'in_progress']) });
+}
+
+function taskKey(clientId, sku, sourceLocationId) {
+  return `${clientSkuKey(clientId, sku)}|${sourceLocationId}`;
+}
+
+// Draft tasks for one (client, SKU): enough to cover demand + buffer, taken from the fullest BackStock rows first
+function planTasks(need, inFlight) {
+  const target = Math.ceil(need.demand * (1 + RESTOCK_BUFFER_PERCENT / 100)) + RESTOCK_BUFFER_UNITS;
+  let remaining = target - need.available - inFlight;
+  if (remaining <= 0) return [];
+
+  const destination = [...need.pickableRows].sort((a, b) => {
+    const pa = a.inventory_locations?.priority ?? Number.MAX_SAFE_INTEGER;
+    const pb = b.inventory_locations?.priority ?? Number.MAX_SAFE_INTEGER;
+    if (pa !== pb) return pa - pb;
+    return (b.available || 0) - (a.available || 0);
+  })[0] || null;
+
+  const tasks = [];
+  for (const src of [...need.backstockRows].sort((a, b) => (b.on_hand || 0) - (a.on_hand || 0))) {
+    if (remaining <= 0) break;
+    const quantity = Math.min(remaining, src.on_hand || 0);
+    if (quantity <= 0) continue;
+    tasks.push({
+      client_id: need.clientId,
+      sku: need.sku,
+      item_type: 'client_product',
+      item_id: String(src.item_id),
+      source_location_id: src.location_id,
+      source_location_code: src.inventory_locations?.code || null,
+      destination_location_id: destination?.location_id ?? null,
+      destination_location_code: destination?.inventory_locations?.code || null,
+      quantity,
+      reason: `queued ${need.demand} (+buffer → ${target}), pickable ${need.available}, in progress ${inFlight}`
+    });
+    remaining -= quantity;
+  }
+  return tasks;
+}
+
+async function insertTask(ctx, task) {
+  const row = { ...task, status: 'draft', run_id: ctx.runId, created_at: new Date().toISOString(), updated_at: new Date().toISOString() };
+  if (ctx.dryRun) {
+    ctx.plan(TASKS_TABLE, { action: 'insert', id: null, sku: task.sku, client_id: task.client_id, before: null, after: row });
+  } else {
+    ctx.lease.assertHeld();
+    const { error } = await supabase.from(TASKS_TABLE).insert([row]);
+    if (error) {
+      console.error('[Cron] transfer task insert error:', error);
+      ctx.recordError('transfer_task_insert', error, { sku: task.sku, client_id: task.client_id });
+      return;
+    }
+  }
+  ctx.count('transfer_tasks_created');
+}
+
+async function updateTask(ctx, existing, task) {
+  if (existing.quantity === task.quantity && existing.destination_location_id === task.destination_location_id) return;
+  const update = {
+    quantity: task.quantity,
+    destination_location_id: task.destination_location_id,
+    destination_location_code: task.destination_location_code,
+    reason: task.reason,
+    run_id: ctx.runId,
+    updated_at: new Date().toISOString()
+  };
+  if (ctx.dryRun) {
+    ctx.plan(TASKS_TABLE, {
+      action: 'update',
+      id: existing.id,
+      sku: task.sku,
+      client_id: task.client_id,
+      before: { quantity: existing.quantity, destination_location_id: existing.destination_location_id },
+      after: { quantity: task.quantity, destination_location_id: task.destination_location_id }
+    });
+  } else {
+    ctx.lease.assertHeld();
+    const { error } = await supabase.from(TASKS_TABLE).update(update).eq('id', existing.id).eq('status', 'draft');
+    if (error) {
+      console.error('[Cron] transfer task update error:', error);
+      ctx.recordError('transfer_task_update', error, { task_id: existing.id });
+      return;
+    }
+  }
+  ctx.count('transfer_tasks_updated');
+}
+
+async function cancelTask(ctx, existing, reason) {
+  const now = new Date().toISOString();
+  if (ctx.dryRun) {
+    ctx.plan(TASKS_TABLE, {
+      action: 'cancel',
+      id: existing.id,
+      sku: existing.sku,
+      client_id: existing.client_id,
+      reason,
+      before: { status: 'draft', quantity: existing.quantity },
+      after: { status: 'cancelled' }
+    });
+  } else {
+    ctx.lease.assertHeld();
+    const { error } = await supabase
+      .from(TASKS_TABLE)
+      .update({ status: 'cancelled', cancelled_at: now, cancel_reason: reason, run_id: ctx.runId, updated_at: now })
+      .eq('id', existing.id)
+      .eq('status', 'draft');
+    if (error) {
+      console.error('[Cron] transfer task cancel error:', error);
+      ctx.recordError('transfer_task_cancel', error, { task_id: existing.id });
+      return;
+    }
+  }
+  ctx.count('transfer_tasks_cancelled');
+}
+
+// Keep draft BackStock → pickable transfer tasks in line with current restock needs.
+// needs: Map clientSkuKey → { clientId, sku, demand, available, pickableRows, backstockRows } for every (client, SKU)
+// whose queued demand exceeds pickable stock while BackStock holds some.
+export async function syncTransferTasks(ctx, needs) {
+  const { data: open, error } = await loadOpenTasks();
+  if (error) {
+    console.error('[Cron] transfer tasks fetch error:', error);
+    ctx.recordError('transfer_tasks_fetch', error);
+    return;
+  }
+
+  const drafts = new Map();
+  const inFlight = new Map();
+  for (const t of open || []) {
+    if (t.status === 'in_progress') {
+      const key = clientSkuKey(t.client_id, t.sku);
+      inFlight.set(key, (inFlight.get(key) || 0) + (t.quantity || 0));
+    } else {
+      drafts.set(taskKey(t.client_id, t.sku, t.source_location_id), t);
+    }
+  }
+
+  const wanted = new Set();
+  for (const [key, need] of needs.entries()) {
+    for (const task of planTasks(need, inFlight.get(key) || 0)) {
+      const tk = taskKey(task.client_id, task.sku, task.source_location_id);
+      wanted.add(tk);
+      const existing = drafts.get(tk);
+      if (existing) await updateTask(ctx, existing, task);
+      else await insertTask(ctx, task);
+    }
+  }
+
+  for (const [tk, existing] of drafts.entries()) {
+    if (wanted.has(tk)) continue;
+    const stillNeeded = needs.has(clientSkuKey(existing.client_id, existing.sku));
+    await cancelTask(ctx, existing, stillNeeded ? 'source_not_needed' : 'restock_not_needed');
+  }
+}
@@ -0,0 +1,73 @@
+import { fetchAll } from './fetchAll.js';
+import {
+  buildSkuMaps,
+  buildClientSkuMap,
+  buildAliasMap,
+  buildBundleComponents,
+  createSkuResolver
+} from '../utils/skuResolver.js';
+import { buildStoreClientMap } from '../utils/clientScope.js';
+
+// Products, bundles, client inventory, aliases and store → client mapping, with the run's SKU resolver.
+// Returns null (after recording the error) when any read fails.
+export async function loadCatalog(ctx) {
+  // Build catalog maps for robust SKU resolution. A partial catalog would misresolve SKUs, so any failed or
+  // truncated read stops the run.
+  const { data: products, error: prodErr } = await fetchAll('products', 'id, Sku');
+  if (prodErr) {
+    console.error('[Cron] products error:', prodErr);
+    ctx.recordError('products_fetch', prodErr);
+    return null;
+  }
+  const { data: bundles, error: bundleErr } = await fetchAll('bundle', 'id, name');
+  if (bundleErr) {
+    console.error('[Cron] bundle error:', bundleErr);
+    ctx.recordError('bundle_fetch', bundleErr);
+    return null;
+  }
+  const { productMap, bundleMap } = buildSkuMaps(products, bundles);
+
+  const { data: bundleItems, error: biErr } = await fetchAll('bundle_items', '*');
+  if (biErr) {
+    console.error('[Cron] bundle_items error:', biErr);
+    ctx.recordError('bundle_items_fetch', biErr);
+    return null;
+  }
+  const bundleComponents = buildBundleComponents(bundleItems, products);
+
+  const { data: ciRows, error: ciErr } = await fetchAll('client_inventory', 'id, sku, client_id');
+  if (ciErr) {
+    console.error('[Cron] client_inventory error:', ciErr);
+    ctx.recordError('client_inventory_fetch', ciErr);
+    return null;
+  }
+
+  const { data: aliasRows, error: aliasErr } = await fetchAll('sku_aliases', 'id, alias, canonical_sku, client_id',
+    { filter: (q) => q.eq('is_active', true) });
+  if (aliasErr) {
+    console.error('[Cron] sku_aliases error:', aliasErr);
+    ctx.recordError('sku_aliases_fetch', aliasErr);
+    return null;
+  }
+
+  // Orders without their own client_id are attributed through their store
+  const { data: storeRows, error: storeErr } = await fetchAll('client_stores', 'store_id, client_id',
+    { order: [['store_id']] });
+  if (storeErr) {
+    console.error('[Cron] client_stores error:', storeErr);
+    ctx.recordError('client_stores_fetch', storeErr);
+    return null;
+  }
+  const catalog = {
+    productMap,
+    bundleMap,
+    bundleComponents,
+    ciRows: ciRows || [],
+    clientSkuMap: buildClientSkuMap(ciRows || []),
+    skuAliases: buildAliasMap(aliasRows || []),
+    storeClients: buildStoreClientMap(storeRows || [])
+  };
+  // Indexed once per run; every order item and shipment line resolves through it
+  catalog.resolver = createSkuResolver(catalog);
+  return catalog;
+}
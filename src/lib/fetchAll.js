@@ -0,0 +1,56 @@
+import { supabase } from './supabase.js';
+
+// Rows requested per page. PostgREST caps every response at its max-rows setting (1000 by default); a smaller cap
+// just means more pages, since each page starts where the rows received so far end.
+const FETCH_PAGE_SIZE = parseInt(process.env.FETCH_PAGE_SIZE || '1000', 10);
+// Values per .in() request, keeping request URLs well under proxy limits
+const FETCH_IN_CHUNK_SIZE = parseInt(process.env.FETCH_IN_CHUNK_SIZE || '200', 10);
+
+// Fewer rows came back than the table reported: computing from them would be computing from partial data
+export class TruncatedReadError extends Error {
+  constructor(table, received, expected) {
+    super(`Read of ${table} truncated: got ${received} of ${expected} rows`);
+    this.name = 'TruncatedReadError';
+    this.code = 'TRUNCATED_READ';
+    this.table = table;
+    this.received = received;
+    this.expected = expected;
+  }
+}
+
+// Every row of table matching filter, paged with .range(). The first page asks for an exact count; ending up
+// with fewer rows returns a TruncatedReadError instead of data. order must be a stable (unique) ordering:
+// [[column, { ascending }], ...]. Returns { data, error } like a supabase query.
+export async function fetchAll(table, columns, { filter = (q) => q, order = [['id']], pageSize = FETCH_PAGE_SIZE } = {}) {
+  const rows = [];
+  let expected = null;
+  for (;;) {
+    let query = filter(supabase.from(table).select(columns, rows.length === 0 ? { count: 'exact' } : {}));
+    for (const [column, opts] of order) query = query.order(column, opts);
+    const { data, error, count } = await query.range(rows.length, rows.length + pageSize - 1);
+    if (error) return { data: null, error };
+    if (rows.length === 0) expected = count ?? null;
+    const page = data || [];
+    rows.push(...page);
+    if (page.length === 0) break;
+    if (expected != null ? rows.length >= expected : page.length < pageSize) break;
+  }
+  if (expected != null && rows.length < expected) {
+    return { data: null, error: new TruncatedReadError(table, rows.length, expected) };
+  }
+  return { data: rows, error: null };
+}
+
+// fetchAll for rows whose column is in values, FETCH_IN_CHUNK_SIZE values per request. Rows come back chunk by
+// chunk, each chunk in order, so "first row per value" logic still holds.
+export async function fetchIn(table, columns, column, values, { chunkSize = FETCH_IN_CHUNK_SIZE, filter = (q) => q, ...opts } = {}) {
+  const unique = [...new Set(values)];
+  const rows = [];
+  for (let i = 0; i < unique.length; i += chunkSize) {
+    const chunk = unique.slice(i, i + chunkSize);
+    const { data, error } = await fetchAll(table, columns, { ...opts, filter: (q) => filter(q.in(column, chunk)) });
+    if (error) return { data: null, error };
+    rows.push(...data);
+  }
+  return { data: rows, error: null };
+}
@@ -0,0 +1,97 @@
+import os from 'node:os';
+import { randomUUID } from 'node:crypto';
+import { supabase } from './supabase.js';
+
+// Lease-based lock in public.cron_locks (see sql/001_cron_locks.sql)
+const LOCK_TTL_SECONDS = parseInt(process.env.CRON_LOCK_TTL_SECONDS || '120', 10);
+const LOCK_HEARTBEAT_SECONDS = parseInt(process.env.CRON_LOCK_HEARTBEAT_SECONDS || '30', 10);
+
+const HOLDER_ID = process.env.CRON_HOLDER_ID || `${os.hostname()}:${process.pid}:${randomUUID().slice(0, 8)}`;
+
+export class LeaseLostError extends Error {
+  constructor(jobName) {
+    super(`Lease for ${jobName} was lost; refusing to write`);
+    this.name = 'LeaseLostError';
+    this.jobName = jobName;
+  }
+}
+
+export async function acquireLease(jobName) {
+  // Local expiry is measured from before the request so it never outlives the DB lease
+  let localExpiresAt = Date.now() + LOCK_TTL_SECONDS * 1000;
+  const { data: acquired, error } = await supabase.rpc('acquire_cron_lock', {
+    p_job_name: jobName,
+    p_holder: HOLDER_ID,
+    p_ttl_seconds: LOCK_TTL_SECONDS
+  });
+  if (error) {
+    console.error(`[Lock] acquire error for ${jobName}:`, error);
+    return null;
+  }
+  if (!acquired) return null;
+
+  let lost = false;
+  const heartbeat = setInterval(async () => {
+    const sentAt = Date.now();
+    const { data: renewed, error: renewErr } = await supabase.rpc('renew_cron_lock', {
+      p_job_name: jobName,
+      p_holder: HOLDER_ID,
+      p_ttl_seconds: LOCK_TTL_SECONDS
+    });
+    if (renewErr) {
+      // Keep trying until the local expiry passes; isHeld() enforces the deadline
+      console.error(`[Lock] heartbeat error for ${jobName}:`, renewErr);
+      return;
+    }
+    if (!renewed) {
+      console.error(`[Lock] lease for ${jobName} was taken over by another holder`);
+      lost = true;
+      clearInterval(heartbeat);
+      return;
+    }
+    localExpiresAt = sentAt + LOCK_TTL_SECONDS * 1000;
+  }, LOCK_HEARTBEAT_SECONDS * 1000);
+  heartbeat.unref();
+
+  const lease = {
+    jobName,
+    holder: HOLDER_ID,
+    isHeld() {
+      return !lost && Date.now() < localExpiresAt;
+    },
+    assertHeld() {
+      if (!lease.isHeld()) throw new LeaseLostError(jobName);
+    },
+    async release() {
+      clearInterval(heartbeat);
+      if (lost) return;
+      lost = true;
+      const { error: relErr } = await supabase.rpc('release_cron_lock', {
+        p_job_name: jobName,
+        p_holder: HOLDER_ID
+      });
+      if (relErr) console.error(`[Lock] release error for ${jobName}:`, relErr);
+    }
+  };
+  return lease;
+}
+
+// Run handler(lease) only while this process holds the job's lease; returns null when skipped
+export async function withJobLock(jobName, handler) {
+  const lease = await acquireLease(jobName);
+  if (!lease) {
+    console.log(`[Lock] ${jobName} is locked by another instance; skipping run`);
+    return null;
+  }
+  try {
+    return await handler(lease);
+  } catch (e) {
+    if (e instanceof LeaseLostError) {
+      console.error(`[Lock] ${e.message}`);
+      return null;
+    }
+    throw e;
+  } finally {
+    await lease.release();
+  }
+}
@@ -0,0 +1,117 @@
+import { randomUUID } from 'node:crypto';
+import { withJobLock, LeaseLostError } from './jobLock.js';
+import { insertRunRow, finishRunRow } from './runHistory.js';
+
+const MAX_STORED_ERRORS = parseInt(process.env.RUN_HISTORY_MAX_ERRORS || '50', 10);
+const DRY_RUN_DEFAULT = ['true', '1', 'yes'].includes(String(process.env.DRY_RUN || '').trim().toLowerCase());
+
+// Dry runs never write, so they need no lease; this stands in for one
+const DRY_RUN_LEASE = {
+  holder: null,
+  isHeld: () => true,
+  assertHeld() {}
+};
+
+function serializeError(err) {
+  if (!err) return { message: 'Unknown error' };
+  if (err instanceof Error) {
+    return { message: err.message, name: err.name, code: err.code || null };
+  }
+  // Supabase/PostgREST errors are plain objects
+  return {
+    message: err.message || String(err),
+    code: err.code || null,
+    details: err.details || null,
+    hint: err.hint || null
+  };
+}
+
+function createRunContext(jobName, lease, options) {
+  const ctx = {
+    runId: randomUUID(),
+    jobName,
+    lease,
+    holder: lease.holder,
+    options,
+    dryRun: Boolean(options.dryRun),
+    startedAt: new Date().toISOString(),
+    counters: {},
+    errors: [],
+    errorCount: 0,
+    changes: {},
+    count(key, n = 1) {
+      ctx.counters[key] = (ctx.counters[key] || 0) + n;
+    },
+    // Capture an error against the run; the first MAX_STORED_ERRORS are kept in full
+    recordError(stage, err, extra = {}) {
+      ctx.errorCount += 1;
+      if (ctx.errors.length < MAX_STORED_ERRORS) {
+        ctx.errors.push({ stage, at: new Date().toISOString(), ...serializeError(err), ...extra });
+      }
+    },
+    // Dry run only: record a write the job would have made, grouped by target (orders, shipments, ...)
+    plan(target, change) {
+      if (!ctx.changes[target]) ctx.changes[target] = [];
+      ctx.changes[target].push(change);
+    }
+  };
+  return ctx;
+}
+
+function buildDryRunReport(ctx, status) {
+  return {
+    job: ctx.jobName,
+    run_id: ctx.runId,
+    dry_run: true,
+    status,
+    started_at: ctx.startedAt,
+    finished_at: new Date().toISOString(),
+    counters: ctx.counters,
+    errors: ctx.errors,
+    changes: ctx.changes
+  };
+}
+
+// Reads run as usual, writes are collected with ctx.plan() and printed as a JSON report
+async function runDry(jobName, handler, options) {
+  const ctx = createRunContext(jobName, DRY_RUN_LEASE, options);
+  console.log(`[DryRun] ${jobName} run ${ctx.runId} started; no changes will be written`);
+  let status = 'succeeded';
+  let report = null;
+  try {
+    await handler(ctx);
+    if (ctx.errorCount > 0) status = 'completed_with_errors';
+  } catch (e) {
+    status = 'failed';
+    ctx.recordError('fatal', e);
+    throw e;
+  } finally {
+    report = buildDryRunReport(ctx, status);
+    console.log(JSON.stringify(report, null, 2));
+  }
+  return report;
+}
+
+// Take the job lease, record the run in cron_job_runs and hand the run context to the job.
+// With options.dryRun (or DRY_RUN=true) the job runs without lease or history and returns its report.
+export async function runJob(jobName, handler, options = {}) {
+  const resolved = { ...options, dryRun: options.dryRun ?? DRY_RUN_DEFAULT };
+  if (resolved.dryRun) return runDry(jobName, handler, resolved);
+  return withJobLock(jobName, async (lease) => {
+    const ctx = createRunContext(jobName, lease, resolved);
+    await insertRunRow(ctx);
+    let status = 'succeeded';
+    try {
+      await handler(ctx);
+      if (ctx.errorCount > 0) status = 'completed_with_errors';
+      return { runId: ctx.runId, status, counters: ctx.counters, errorCount: ctx.errorCount };
+    } catch (e) {
+      status = e instanceof LeaseLostError ? 'lease_lost' : 'failed';
+      ctx.recordError('fatal', e);
+      throw e;
+    } finally {
+      await finishRunRow(ctx, status);
+      console.log(`[RunHistory] ${jobName} run ${ctx.runId} ${status}`, JSON.stringify(ctx.counters));
+    }
+  });
+}
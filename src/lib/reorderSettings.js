@@ -0,0 +1,29 @@
+import { fetchAll } from './fetchAll.js';
+import { clientSkuKey, normalizeSku } from '../utils/skuResolver.js';
+
+// See sql/009_inventory_reorder_settings.sql and sql/012_draft_purchase_orders.sql
+const SETTINGS_FIELDS = ['reorder_point', 'safety_stock', 'lead_time_days', 'cover_buffer_days', 'supplier_id', 'moq', 'pack_size'];
+
+// inventory_reorder_settings: a row with sku set applies to that client SKU, a row with sku null is the
+// client's default. SKU rows override the default field by field (settingsFor).
+export async function loadReorderSettings() {
+  const { data, error } = await fetchAll('inventory_reorder_settings', `id, client_id, sku, ${SETTINGS_FIELDS.join(', ')}`);
+  if (error) return { error };
+  const defaults = new Map();
+  const bySku = new Map();
+  for (const r of data || []) {
+    if (r.client_id == null) continue;
+    if (r.sku) bySku.set(clientSkuKey(r.client_id, normalizeSku(r.sku)), r);
+    else defaults.set(String(r.client_id), r);
+  }
+  return { defaults, bySku };
+}
+
+export function settingsFor(settings, clientId, key) {
+  const base = settings.defaults.get(String(clientId));
+  const own = settings.bySku.get(key);
+  if (!base && !own) return null;
+  const merged = {};
+  for (const f of SETTINGS_FIELDS) merged[f] = own?.[f] ?? base?.[f] ?? null;
+  return merged;
+}
@@ -0,0 +1,33 @@
+import { supabase } from './supabase.js';
+
+// Persists job runs to public.cron_job_runs (see sql/002_cron_job_runs.sql).
+// History writes never fail the job itself; errors are only logged.
+
+export async function insertRunRow(run) {
+  const { error } = await supabase
+    .from('cron_job_runs')
+    .insert([{
+      run_id: run.runId,
+      job_name: run.jobName,
+      holder: run.holder || null,
+      status: 'running',
+      started_at: run.startedAt
+    }], { returning: 'minimal' });
+  if (error) console.error(`[RunHistory] insert error for ${run.jobName}:`, error);
+}
+
+export async function finishRunRow(run, status) {
+  const finishedAt = new Date();
+  const { error } = await supabase
+    .from('cron_job_runs')
+    .update({
+      status,
+      finished_at: finishedAt.toISOString(),
+      duration_ms: finishedAt.getTime() - new Date(run.startedAt).getTime(),
+      counters: run.counters,
+      errors: run.errors,
+      error_count: run.errorCount
+    })
+    .eq('run_id', run.runId);
+  if (error) console.error(`[RunHistory] update error for ${run.jobName}:`, error);
+}
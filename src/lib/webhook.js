@@ -0,0 +1,16 @@
+// POST JSON to a webhook. Never throws: network errors, timeouts and non-2xx responses come back as { ok: false, error }.
+export async function postJson(url, body, { headers = {}, timeoutMs = 10000 } = {}) {
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    if (res.ok) return { ok: true, status: res.status, error: null };
+    const text = await res.text().catch(() => '');
+    return { ok: false, status: res.status, error: `HTTP ${res.status}${text ? `: ${text.slice(0, 500)}` : ''}` };
+  } catch (e) {
+    return { ok: false, status: null, error: e.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : e.message };
+  }
+}
@@ -0,0 +1,66 @@
+import {
+  runInventoryAlertJob,
+  runBackfillShipmentsFromEvents,
+  runFixShippedOrdersMissingTracking,
+  runDeliverAlertNotifications,
+  runDraftPurchaseOrders,
+  runSyncReturns
+} from './index.js';
+
+// Scheduled/CLI-runnable jobs. envPrefix drives <PREFIX>_CRON and <PREFIX>_ENABLED in the scheduler;
+// options lists the run overrides each job accepts from the CLI (dryRun is always accepted).
+export const JOBS = [
+  {
+    name: 'inventory-alert',
+    aliases: ['alerts', 'recon'],
+    envPrefix: 'INVENTORY_ALERT',
+    description: 'Queue alerts and shipment reconciliation',
+    options: ['orderNumber', 'trackingNumber', 'shipmentId', 'lookbackHours', 'pageSize', 'maxPages'],
+    run: runInventoryAlertJob
+  },
+  {
+    name: 'backfill',
+    aliases: [],
+    envPrefix: 'BACKFILL',
+    description: 'Backfill shipments from ShipStation/ShipEngine events',
+    options: ['since', 'source', 'orderNumber', 'trackingNumber', 'lookbackDays', 'pageSize', 'maxPages'],
+    run: runBackfillShipmentsFromEvents
+  },
+  {
+    name: 'fix-orders',
+    aliases: [],
+    envPrefix: 'FIX_ORDERS',
+    description: 'Fill tracking/ship date on shipped orders that lack them',
+    options: ['orderNumber', 'lookbackDays', 'pageSize', 'maxPages'],
+    run: runFixShippedOrdersMissingTracking
+  },
+  {
+    name: 'alert-notify',
+    aliases: ['notify'],
+    envPrefix: 'ALERT_NOTIFY',
+    description: 'Deliver alert notifications to webhooks (immediate and daily digest)',
+    options: ['pageSize'],
+    run: runDeliverAlertNotifications
+  },
+  {
+    name: 'draft-pos',
+    aliases: ['purchase-orders'],
+    envPrefix: 'DRAFT_PO',
+    description: 'Draft purchase orders per client and supplier from open purchase alerts',
+    options: [],
+    run: runDraftPurchaseOrders
+  },
+  {
+    name: 'returns',
+    aliases: [],
+    envPrefix: 'RETURNS',
+    description: 'Record returns from return-label events and restock received returns',
+    options: ['orderNumber', 'trackingNumber', 'lookbackDays'],
+    run: runSyncReturns
+  }
+];
+
+export function findJob(name) {
+  const key = String(name || '').trim().toLowerCase();
+  return JOBS.find((j) => j.name === key || j.aliases.includes(key)) || null;
+}
@@ -0,0 +1,73 @@
+import 'dotenv/config';
+import cron from 'node-cron';
+import { JOBS } from './registry.js';
+
+const DEFAULT_CRON = process.env.POLL_CRON || '*/10 * * * *';
+const TIMEZONE = process.env.CRON_TIMEZONE || undefined;
+const RUN_ON_START = String(process.env.RUN_ON_START || 'false').toLowerCase() === 'true';
+
+// Each job reads <PREFIX>_CRON and <PREFIX>_ENABLED; cron falls back to POLL_CRON
+function isEnabled(envPrefix) {
+  const raw = process.env[`${envPrefix}_ENABLED`];
+  if (raw == null || raw === '') return true;
+  return !['false', '0', 'no', 'off'].includes(String(raw).trim().toLowerCase());
+}
+
+const running = new Set();
+
+async function runGuarded(job) {
+  if (running.has(job.name)) {
+    console.warn(`[Scheduler] Skipping ${job.name}: previous run still in progress`);
+    return;
+  }
+  running.add(job.name);
+  const startedAt = Date.now();
+  try {
+    await job.run();
+    console.log(`[Scheduler] ${job.name} finished in ${Date.now() - startedAt}ms`);
+  } catch (e) {
+    console.error(`[Scheduler] ${job.name} failed:`, e);
+  } finally {
+    running.delete(job.name);
+  }
+}
+
+function startScheduler() {
+  const tasks = [];
+  for (const job of JOBS) {
+    if (!isEnabled(job.envPrefix)) {
+      console.log(`[Scheduler] ${job.name} disabled (${job.envPrefix}_ENABLED)`);
+      continue;
+    }
+    const expression = process.env[`${job.envPrefix}_CRON`] || DEFAULT_CRON;
+    if (!cron.validate(expression)) {
+      console.error(`[Scheduler] Invalid cron expression for ${job.name}: "${expression}"`);
+      process.exit(1);
+    }
+    const task = cron.schedule(expression, () => runGuarded(job), { timezone: TIMEZONE });
+    tasks.push(task);
+    console.log(`[Scheduler] ${job.name} scheduled with "${expression}"`);
+    if (RUN_ON_START) runGuarded(job);
+  }
+
+  if (tasks.length === 0) {
+    console.warn('[Scheduler] No jobs enabled; exiting');
+    process.exit(0);
+  }
+
+  const shutdown = (signal) => {
+    console.log(`[Scheduler] ${signal} received, stopping schedules`);
+    tasks.forEach((t) => t.stop());
+    const waitForRuns = () => {
+      if (running.size === 0) process.exit(0);
+      setTimeout(waitForRuns, 500);
+    };
+    waitForRuns();
+  };
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+  return tasks;
+}
+
+startScheduler();
@@ -0,0 +1,18 @@
+// ESM helpers to attribute orders and shipments to a client
+
+// client_stores: store_id → client_id, for orders that only carry their store
+export function buildStoreClientMap(rows = []) {
+  const storeClients = new Map();
+  rows.forEach((r) => {
+    if (r && r.store_id != null && r.client_id != null) storeClients.set(String(r.store_id), r.client_id);
+  });
+  return storeClients;
+}
+
+// The order's own client_id wins; otherwise the client that owns its store
+export function orderClientId(order, storeClients = new Map()) {
+  if (!order) return null;
+  if (order.client_id != null) return order.client_id;
+  if (order.store_id != null) return storeClients.get(String(order.store_id)) ?? null;
+  return null;
+}
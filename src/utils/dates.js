@@ -0,0 +1,15 @@
+// ESM helpers for the dates carried by provider events and orders
+
+// Date-only values (ShipStation) are midnight UTC; anything unparseable is null
+export function toIsoOrNull(value) {
+  if (!value) return null;
+  try {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+      return new Date(`${value}T00:00:00Z`).toISOString();
+    }
+    const d = new Date(value);
+    return Number.isNaN(d.getTime()) ? null : d.toISOString();
+  } catch (_) {
+    return null;
+  }
+}
@@ -21,60 +21,220 @@ export function buildSkuMaps(products = [], bundles = []) {
   return { productMap, bundleMap };
 }
 
+// client_inventory per client: client_id → normalized SKU → row. Clients may share SKUs,
+// so resolution must always go through clientSkuMapFor() with the order's client.
 export function buildClientSkuMap(clientInventory = []) {
-  const clientMap = {};
+  const byClient = {};
   clientInventory.forEach((ci) => {
-    if (ci && ci.sku) {
-      clientMap[normalizeSku(ci.sku)] = ci;
+    if (ci && ci.sku && ci.client_id != null) {
+      const key = String(ci.client_id);
+      if (!byClient[key]) byClient[key] = {};
+      byClient[key][normalizeSku(ci.sku)] = ci;
     }
   });
-  return clientMap;
+  return byClient;
 }
 
-export function resolveSku(rawSku, productMap = {}, bundleMap = {}, clientMap = {}) {
-  if (!rawSku) return { baseSku: '', matchType: null };
+export function clientSkuMapFor(clientSkuMap = {}, clientId) {
+  if (clientId == null) return {};
+  return clientSkuMap[String(clientId)] || {};
+}
+
+// Aggregation key for per-client totals
+export function clientSkuKey(clientId, sku) {
+  return `${clientId ?? ''}|${sku}`;
+}
+
+// sku_aliases: marketplace SKU → canonical SKU, optionally scoped to one client.
+// Returns { global: { alias: canonical }, byClient: { clientId: { alias: canonical } } }.
+export function buildAliasMap(aliases = []) {
+  const global = {};
+  const byClient = {};
+  aliases.forEach((a) => {
+    if (!a || !a.alias || !a.canonical_sku) return;
+    const alias = normalizeSku(a.alias);
+    const canonical = normalizeSku(a.canonical_sku);
+    if (a.client_id == null) {
+      global[alias] = canonical;
+    } else {
+      const key = String(a.client_id);
+      if (!byClient[key]) byClient[key] = {};
+      byClient[key][alias] = canonical;
+    }
+  });
+  return { global, byClient };
+}
+
+// Aliases visible to one client: its own take priority over global ones
+export function aliasMapFor(aliasMap = {}, clientId) {
+  const out = {};
+  for (const [alias, canonical] of Object.entries(aliasMap.global || {})) out[alias] = { canonical, scope: 'global' };
+  const own = clientId != null ? aliasMap.byClient?.[String(clientId)] : null;
+  for (const [alias, canonical] of Object.entries(own || {})) out[alias] = { canonical, scope: 'client' };
+  return out;
+}
+
+// A prefix only counts when the SKU continues with a separator ("abc" fits "abc-red", not "abcd-red")
+const SKU_SEPARATOR = /[-_./]/;
+
+function exactMatch(norm, productMap, bundleMap, clientMap) {
+  if (clientMap[norm]) return { baseSku: norm, matchType: 'client_product', client: clientMap[norm] };
+  if (bundleMap[norm]) return { baseSku: norm, matchType: 'bundle', bundle: bundleMap[norm] };
+  if (productMap[norm]) return { baseSku: norm, matchType: 'product', product: productMap[norm] };
+  return null;
+}
+
+// Prefix keys ending at a separator, found by scanning every catalog key
+function scanPrefixCandidates(norm, maps) {
+  const candidates = new Set();
+  for (const map of maps) {
+    for (const k of Object.keys(map)) {
+      if (k.length >= norm.length || !norm.startsWith(k)) continue;
+      if (SKU_SEPARATOR.test(norm[k.length]) || SKU_SEPARATOR.test(k[k.length - 1])) candidates.add(k);
+    }
+  }
+  return candidates;
+}
+
+// Same candidates, found by looking up each leading slice of the SKU: O(SKU length) whatever the catalog size
+function lookupPrefixCandidates(norm, maps) {
+  const candidates = new Set();
+  for (let i = 0; i < norm.length; i += 1) {
+    const k = norm.slice(0, i);
+    if (!maps.some((map) => Object.hasOwn(map, k))) continue;
+    if (SKU_SEPARATOR.test(norm[i]) || SKU_SEPARATOR.test(k[k.length - 1])) candidates.add(k);
+  }
+  return candidates;
+}
+
+function resolveWith(findPrefixCandidates, rawSku, productMap, bundleMap, clientMap, aliasMap) {
+  if (!rawSku) return { baseSku: '', matchType: null, rule: 'unresolved', confidence: 'none' };
 
   const norm = normalizeSku(rawSku);
 
-  // Prefer explicit client inventory match first (exact)
-  if (clientMap[norm]) {
-    return { baseSku: norm, matchType: 'client_product', client: clientMap[norm] };
+  // Maintained aliases beat every heuristic
+  const alias = aliasMap[norm];
+  if (alias) {
+    const target = exactMatch(alias.canonical, productMap, bundleMap, clientMap);
+    if (target) return { ...target, rule: `alias_${alias.scope}`, confidence: 'high', alias: norm };
+    return { baseSku: alias.canonical, matchType: null, rule: 'alias_unknown_target', confidence: 'low', alias: norm };
   }
 
-  if (bundleMap[norm]) {
-    return { baseSku: norm, matchType: 'bundle', bundle: bundleMap[norm] };
+  // Prefer explicit client inventory match first (exact)
+  const exact = exactMatch(norm, productMap, bundleMap, clientMap);
+  if (exact) return { ...exact, rule: 'exact', confidence: 'high' };
+
+  // Prefix keys ending at a separator; the same key in several catalogs resolves client > bundle > product
+  const candidates = findPrefixCandidates(norm, [clientMap, bundleMap, productMap]);
+
+  if (candidates.size === 1) {
+    const [key] = candidates;
+    return { ...exactMatch(key, productMap, bundleMap, clientMap), rule: 'prefix', confidence: 'medium' };
   }
-  if (productMap[norm]) {
-    return { baseSku: norm, matchType: 'product', product: productMap[norm] };
+  if (candidates.size > 1) {
+    const list = [...candidates].sort((a, b) => b.length - a.length);
+    return { baseSku: norm, matchType: null, rule: 'ambiguous_prefix', confidence: 'none', candidates: list };
   }
 
-  let bestBundleKey = '';
-  let bestProductKey = '';
-  let bestClientKey = '';
+  // No invented base SKU: unresolved SKUs keep their own normalized form
+  return { baseSku: norm, matchType: null, rule: 'unresolved', confidence: 'none' };
+}
+
+// Resolve a raw SKU to client inventory, a bundle or a product. Every result carries the rule that matched
+// and a confidence:
+//   alias_client / alias_global / exact   high
+//   prefix (exactly one plausible key)    medium
+//   alias_unknown_target                  low   (alias points at a SKU that is not in the catalog)
+//   ambiguous_prefix / unresolved         none  (matchType null; ambiguous results list candidates)
+// Scans the whole catalog for prefixes; jobs resolving many SKUs use createSkuResolver() instead.
+export function resolveSku(rawSku, productMap = {}, bundleMap = {}, clientMap = {}, aliasMap = {}) {
+  return resolveWith(scanPrefixCandidates, rawSku, productMap, bundleMap, clientMap, aliasMap);
+}
 
-  const tryPrefix = (key, isBundle) => {
-    if (norm.startsWith(key) && key.length > (isBundle ? bestBundleKey.length : bestProductKey.length)) {
-      if (isBundle) bestBundleKey = key; else bestProductKey = key;
+// Closest catalog SKUs for an unresolved SKU, for human review: longest shared leading characters first
+export function suggestSkus(rawSku, productMap = {}, bundleMap = {}, clientMap = {}, limit = 5) {
+  const norm = normalizeSku(rawSku);
+  if (!norm) return [];
+  const scored = new Map();
+  for (const map of [clientMap, bundleMap, productMap]) {
+    for (const k of Object.keys(map)) {
+      let n = 0;
+      while (n < k.length && n < norm.length && k[n] === norm[n]) n += 1;
+      if (n >= 3 && !scored.has(k)) scored.set(k, n);
     }
-  };
+  }
+  return [...scored.entries()]
+    .sort((a, b) => b[1] - a[1] || Math.abs(a[0].length - norm.length) - Math.abs(b[0].length - norm.length))
+    .slice(0, limit)
+    .map(([k]) => k);
+}
+
+// Bundle composition: bundle id → [{ sku, quantity }]. Component rows may carry the SKU directly
+// or reference a product by product_id.
+export function buildBundleComponents(bundleItems = [], products = []) {
+  const productSkuById = {};
+  products.forEach((p) => {
+    if (p && p.id != null && p.Sku) productSkuById[String(p.id)] = p.Sku;
+  });
 
-  Object.keys(bundleMap).forEach((k) => tryPrefix(k, true));
-  Object.keys(productMap).forEach((k) => tryPrefix(k, false));
-  Object.keys(clientMap).forEach((k) => {
-    if (norm.startsWith(k) && k.length > bestClientKey.length) bestClientKey = k;
+  const components = {};
+  bundleItems.forEach((bi) => {
+    if (!bi || bi.bundle_id == null) return;
+    const sku = bi.sku || (bi.product_id != null ? productSkuById[String(bi.product_id)] : null);
+    const quantity = Number(bi.quantity ?? 1);
+    if (!sku || !quantity) return;
+    const key = String(bi.bundle_id);
+    if (!components[key]) components[key] = [];
+    components[key].push({ sku: normalizeSku(sku), quantity });
   });
+  return components;
+}
 
-  if (bestClientKey) {
-    return { baseSku: bestClientKey, matchType: 'client_product', client: clientMap[bestClientKey] };
+const MAX_BUNDLE_DEPTH = 5;
+
+function explodeWith(resolve, bundleComponents, rawSku, quantity, depth) {
+  const resolved = resolve(rawSku);
+  if (resolved.matchType !== 'bundle') {
+    return [{ sku: normalizeSku(rawSku), quantity, resolved }];
   }
-  if (bestBundleKey) {
-    return { baseSku: bestBundleKey, matchType: 'bundle', bundle: bundleMap[bestBundleKey] };
+  const parts = bundleComponents[String(resolved.bundle?.id)] || [];
+  if (parts.length === 0 || depth >= MAX_BUNDLE_DEPTH) {
+    return [{ sku: normalizeSku(rawSku), quantity, resolved, missingComponents: true }];
   }
-  if (bestProductKey) {
-    return { baseSku: bestProductKey, matchType: 'product', product: productMap[bestProductKey] };
+  const leaves = [];
+  for (const part of parts) {
+    leaves.push(...explodeWith(resolve, bundleComponents, part.sku, quantity * part.quantity, depth + 1));
   }
+  return leaves.map((leaf) => ({ ...leaf, bundleSku: leaf.bundleSku || resolved.baseSku }));
+}
 
-  const fallback = norm.split(/[-_.]/)[0];
-  return { baseSku: fallback, matchType: null };
+// Resolve a SKU and expand bundles (recursively) into their component SKUs and quantities.
+// Returns leaf lines { sku, quantity, resolved }; a bundle without composition data is returned
+// as a single leaf with missingComponents set so callers can report it.
+export function explodeSku(rawSku, quantity, maps, depth = 0) {
+  const { productMap = {}, bundleMap = {}, clientMap = {}, aliasMap = {}, bundleComponents = {} } = maps;
+  const resolve = (sku) => resolveSku(sku, productMap, bundleMap, clientMap, aliasMap);
+  return explodeWith(resolve, bundleComponents, rawSku, quantity, depth);
 }
 
+// Resolver over one run's catalog (the shape loadCatalog returns), built once per run. Gives the same results as
+// resolveSku / explodeSku with the client's maps, but finds prefixes by key lookup instead of a catalog scan and
+// caches each client's alias map.
+export function createSkuResolver({ productMap = {}, bundleMap = {}, clientSkuMap = {}, skuAliases = {}, bundleComponents = {} } = {}) {
+  const scopes = new Map();
+  function scope(clientId) {
+    const key = String(clientId ?? '');
+    if (!scopes.has(key)) {
+      scopes.set(key, { clientMap: clientSkuMapFor(clientSkuMap, clientId), aliasMap: aliasMapFor(skuAliases, clientId) });
+    }
+    return scopes.get(key);
+  }
+  function resolve(rawSku, clientId) {
+    const { clientMap, aliasMap } = scope(clientId);
+    return resolveWith(lookupPrefixCandidates, rawSku, productMap, bundleMap, clientMap, aliasMap);
+  }
+  function explode(rawSku, quantity, clientId) {
+    return explodeWith((sku) => resolve(sku, clientId), bundleComponents, rawSku, quantity, 0);
+  }
+  return { resolve, explode };
+}